@@ -0,0 +1,56 @@
+// Service worker that keeps the app shell available offline. Pages are
+// fetched from the network first so deployments show up straight away;
+// scripts, styles and images are served from the cache and refreshed in the
+// background. Canister calls are POST requests and are never cached.
+//
+// This is a template: the service-worker plugin in vite.config.js emits it as
+// sw.js with __BUILD__ replaced by { version, assets }, where assets lists the
+// build's hashed scripts, styles and files. They are cached on install, so the
+// app opens offline after a single visit.
+const BUILD = __BUILD__;
+
+const CACHE = `app-shell-${BUILD.version}`;
+
+const SHELL = ['./', './index.html', './manifest.webmanifest', './icon.svg', './favicon.ico', ...BUILD.assets];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE).then(cache => cache.put('./index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE).then(cache => cache.match(request).then(cached => {
+      const refresh = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached);
+      return cached || refresh;
+    }))
+  );
+});
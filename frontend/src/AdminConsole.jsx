@@ -0,0 +1,443 @@
+import React, { useEffect, useState } from 'react';
+import { Principal } from '@dfinity/principal';
+import { useBackend } from './BackendProvider';
+import { advisors, getAdvisor } from './advisors';
+import { useI18n } from './i18n';
+import { PromptsPanel } from './PromptManager';
+import { FeedbackPanel } from './FeedbackReview';
+import { KnowledgeBasePanel } from './KnowledgeBase';
+
+const advisorColors = ['#16a34a', '#2563eb', '#7c3aed', '#d97706', '#dc2626', '#0891b2'];
+
+const RANGES = [7, 30, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The backend numbers days from the epoch in East Africa Time (UTC+3)
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const LIMIT_FIELDS = ['hourlyMessages', 'dailyMessages', 'maxMessageChars', 'maxHistoryMessages'];
+
+const roleOf = (variant) => Object.keys(variant)[0];
+
+const sumCounts = (list) => list.reduce((total, counts) => ({
+  requests: total.requests + counts.requests,
+  completed: total.completed + counts.completed,
+  totalLatencyMs: total.totalLatencyMs + counts.totalLatencyMs,
+  errors: total.errors + counts.errors,
+  rejected: total.rejected + counts.rejected
+}), { requests: 0, completed: 0, totalLatencyMs: 0, errors: 0, rejected: 0 });
+
+const toCounts = (counts) => Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, Number(value)]));
+
+// Average latency in seconds and error rate in percent, or null without data
+const averageSeconds = (counts) => counts.completed ? counts.totalLatencyMs / counts.completed / 1000 : null;
+const errorPercent = (counts) => counts.requests ? counts.errors / counts.requests * 100 : null;
+
+// Turn an analytics report into one entry per day of the range, oldest
+// first, including days without any requests
+const toDailySeries = (report, days) => {
+  const today = Math.floor((Date.now() + EAT_OFFSET_MS) / DAY_MS);
+  const byDay = new Map(report.days.map(day => [Number(day.day), day]));
+  return Array.from({ length: days }, (_, i) => {
+    const dayNumber = today - days + 1 + i;
+    const day = byDay.get(dayNumber);
+    return {
+      dayNumber,
+      activeUsers: day ? Number(day.activeUsers) : 0,
+      advisors: Object.fromEntries((day?.advisors ?? []).map(entry => [entry.advisorId, toCounts(entry.counts)]))
+    };
+  });
+};
+
+const SummaryCard = ({ label, value }) => (
+  <div className="rounded-xl border border-gray-200 p-4">
+    <p className="text-xs font-medium uppercase tracking-wide text-gray-500">{label}</p>
+    <p className="mt-1 text-2xl font-bold text-gray-800">{value}</p>
+  </div>
+);
+
+// Stacked bars of requests per day, one colour per advisor
+const RequestsChart = ({ series }) => {
+  const { locale, localize } = useI18n();
+  const width = 640;
+  const height = 200;
+  const pad = { top: 12, right: 8, bottom: 24, left: 40 };
+
+  const totals = series.map(day => Object.values(day.advisors).reduce((sum, counts) => sum + counts.requests, 0));
+  const maxTotal = Math.max(1, ...totals);
+  const slot = (width - pad.left - pad.right) / series.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  const y = (value) => (value / maxTotal) * (height - pad.top - pad.bottom);
+  const dayLabel = (dayNumber) => new Date(dayNumber * DAY_MS).toLocaleDateString(locale, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        {[0, maxTotal].map(tick => (
+          <g key={tick}>
+            <line x1={pad.left} x2={width - pad.right} y1={height - pad.bottom - y(tick)} y2={height - pad.bottom - y(tick)} stroke="#e5e7eb" />
+            <text x={pad.left - 6} y={height - pad.bottom - y(tick) + 4} textAnchor="end" fontSize="11" fill="#6b7280">{tick}</text>
+          </g>
+        ))}
+        {series.map((day, i) => {
+          let base = height - pad.bottom;
+          return (
+            <g key={day.dayNumber}>
+              {advisors.map((advisor, index) => {
+                const requests = day.advisors[advisor.id]?.requests ?? 0;
+                if (!requests) return null;
+                base -= y(requests);
+                return (
+                  <rect key={advisor.id} x={pad.left + i * slot + (slot - barWidth) / 2} y={base} width={barWidth} height={y(requests)} fill={advisorColors[index % advisorColors.length]}>
+                    <title>{`${localize(advisor.copy).name} · ${dayLabel(day.dayNumber)}: ${requests}`}</title>
+                  </rect>
+                );
+              })}
+            </g>
+          );
+        })}
+        <text x={pad.left} y={height - 6} fontSize="11" fill="#6b7280">{dayLabel(series[0].dayNumber)}</text>
+        <text x={width - pad.right} y={height - 6} textAnchor="end" fontSize="11" fill="#6b7280">{dayLabel(series[series.length - 1].dayNumber)}</text>
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        {advisors.map((advisor, index) => (
+          <span key={advisor.id} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: advisorColors[index % advisorColors.length] }}></span>
+            {localize(advisor.copy).name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Request counts, active users, latency, error rates and top topics recorded by the backend
+const AnalyticsPanel = () => {
+  const backend = useBackend();
+  const { t, localize, locale } = useI18n();
+  const [days, setDays] = useState(RANGES[0]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    backend.getAnalytics(BigInt(days))
+      .then(setReport)
+      .catch(err => {
+        console.error(err);
+        setError(t('admin.loadError'));
+      });
+  }, [backend, days]);
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (!report) return <p className="text-sm text-gray-500">{t('admin.loading')}</p>;
+
+  const series = toDailySeries(report, days);
+  const perAdvisor = advisors.map(advisor => ({
+    advisor,
+    counts: sumCounts(series.map(day => day.advisors[advisor.id]).filter(Boolean))
+  }));
+  const overall = sumCounts(perAdvisor.map(entry => entry.counts));
+  const formatSeconds = (seconds) => seconds === null ? '–' : t('admin.seconds', { count: seconds.toLocaleString(locale, { maximumFractionDigits: 1 }) });
+  const formatPercent = (percent) => percent === null ? '–' : `${percent.toLocaleString(locale, { maximumFractionDigits: 1 })}%`;
+  const maxTopic = Math.max(1, ...report.topTopics.map(topic => Number(topic.count)));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2">
+        {RANGES.map(range => (
+          <button
+            key={range}
+            onClick={() => setDays(range)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors ${range === days ? 'bg-green-600 border-green-600 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            {t('admin.lastDays', { count: range })}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <SummaryCard label={t('admin.requests')} value={overall.requests.toLocaleString(locale)} />
+        <SummaryCard label={t('admin.activeUsers')} value={Number(report.activeUsers).toLocaleString(locale)} />
+        <SummaryCard label={t('admin.averageLatency')} value={formatSeconds(averageSeconds(overall))} />
+        <SummaryCard label={t('admin.errorRate')} value={formatPercent(errorPercent(overall))} />
+      </div>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('admin.requestsPerDay')}</h3>
+        <RequestsChart series={series} />
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('admin.perAdvisor')}</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4 font-medium">{t('admin.advisor')}</th>
+                <th className="py-2 pr-4 font-medium text-right">{t('admin.requests')}</th>
+                <th className="py-2 pr-4 font-medium text-right">{t('admin.averageLatency')}</th>
+                <th className="py-2 pr-4 font-medium text-right">{t('admin.errorRate')}</th>
+                <th className="py-2 font-medium text-right" title={t('admin.rejectedHint')}>{t('admin.rejected')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {perAdvisor.map(({ advisor, counts }) => (
+                <tr key={advisor.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4 text-gray-800">{advisor.icon} {localize(advisor.copy).name}</td>
+                  <td className="py-2 pr-4 text-right">{counts.requests.toLocaleString(locale)}</td>
+                  <td className="py-2 pr-4 text-right">{formatSeconds(averageSeconds(counts))}</td>
+                  <td className="py-2 pr-4 text-right">{formatPercent(errorPercent(counts))}</td>
+                  <td className="py-2 text-right">{counts.rejected.toLocaleString(locale)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('admin.topTopics')}</h3>
+        {report.topTopics.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('admin.noTopics')}</p>
+        ) : (
+          <ul className="space-y-1.5">
+            {report.topTopics.map(topic => (
+              <li key={`${topic.advisorId}/${topic.term}`} className="flex items-center gap-3 text-sm">
+                <span className="w-6 text-center">{getAdvisor(topic.advisorId)?.icon}</span>
+                <span className="w-40 truncate text-gray-800">{topic.term}</span>
+                <span className="flex-1 h-2 rounded-full bg-gray-100 overflow-hidden">
+                  <span className="block h-2 rounded-full bg-green-500" style={{ width: `${Number(topic.count) / maxTopic * 100}%` }}></span>
+                </span>
+                <span className="w-12 text-right text-gray-600">{Number(topic.count).toLocaleString(locale)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+// Form for the per-user message quotas and size limits
+const LimitsPanel = () => {
+  const backend = useBackend();
+  const { t } = useI18n();
+  const [limits, setLimits] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    backend.getUsageLimits()
+      .then(current => setLimits(Object.fromEntries(LIMIT_FIELDS.map(field => [field, String(current[field])]))))
+      .catch(err => {
+        console.error(err);
+        setNotice({ error: true, text: t('admin.loadError') });
+      });
+  }, [backend]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setNotice(null);
+    try {
+      await backend.setUsageLimits(Object.fromEntries(LIMIT_FIELDS.map(field => [field, BigInt(limits[field])])));
+      setNotice({ error: false, text: t('admin.saved') });
+    } catch (err) {
+      console.error(err);
+      setNotice({ error: true, text: t('admin.saveError') });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-md">
+      <p className="text-sm text-gray-600">{t('admin.limitsIntro')}</p>
+      {limits && LIMIT_FIELDS.map(field => (
+        <label key={field} className="block">
+          <span className="block text-sm font-medium text-gray-700 mb-1">{t(`admin.limits.${field}`)}</span>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            required
+            value={limits[field]}
+            onChange={(e) => setLimits({ ...limits, [field]: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+        </label>
+      ))}
+      {notice && <p className={`text-sm ${notice.error ? 'text-red-600' : 'text-green-700'}`}>{notice.text}</p>}
+      <button
+        type="submit"
+        disabled={!limits || isSaving}
+        className="px-4 py-2 rounded-lg bg-green-600 text-white font-medium hover:bg-green-700 disabled:opacity-50 transition-colors"
+      >
+        {isSaving ? t('admin.saving') : t('admin.save')}
+      </button>
+    </form>
+  );
+};
+
+// Staff list with forms to grant and revoke roles
+const StaffPanel = () => {
+  const backend = useBackend();
+  const { t } = useI18n();
+  const [staff, setStaff] = useState([]);
+  const [principal, setPrincipal] = useState('');
+  const [role, setRole] = useState('analyst');
+  const [error, setError] = useState(null);
+
+  const loadStaff = () => {
+    backend.listStaff()
+      .then(setStaff)
+      .catch(err => {
+        console.error(err);
+        setError(t('admin.loadError'));
+      });
+  };
+
+  useEffect(loadStaff, [backend]);
+
+  const changeRole = async (target, newRole) => {
+    setError(null);
+    try {
+      await backend.setRole(target, newRole ? [{ [newRole]: null }] : []);
+      loadStaff();
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(t('admin.roleError'));
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    let target;
+    try {
+      target = Principal.fromText(principal.trim());
+    } catch {
+      setError(t('admin.invalidPrincipal'));
+      return;
+    }
+    if (await changeRole(target, role)) setPrincipal('');
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">{t('admin.staffIntro')}</p>
+      <ul className="divide-y border rounded-xl">
+        {staff.length === 0 && <li className="p-3 text-sm text-gray-500">{t('admin.noStaff')}</li>}
+        {staff.map(member => (
+          <li key={member.principal.toText()} className="flex items-center justify-between gap-3 p-3 text-sm">
+            <span className="font-mono text-xs text-gray-700 break-all">{member.principal.toText()}</span>
+            <span className="flex items-center gap-3 shrink-0">
+              <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">{t(`admin.roles.${roleOf(member.role)}`)}</span>
+              <button onClick={() => changeRole(member.principal, null)} className="text-red-600 hover:text-red-800 font-medium">
+                {t('admin.revoke')}
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2">
+        <label className="flex-1 min-w-[16rem]">
+          <span className="block text-sm font-medium text-gray-700 mb-1">{t('admin.principal')}</span>
+          <input
+            value={principal}
+            onChange={(e) => setPrincipal(e.target.value)}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+        </label>
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          <option value="analyst">{t('admin.roles.analyst')}</option>
+          <option value="reviewer">{t('admin.roles.reviewer')}</option>
+          <option value="admin">{t('admin.roles.admin')}</option>
+        </select>
+        <button type="submit" className="px-4 py-2 rounded-lg bg-green-600 text-white font-medium hover:bg-green-700 transition-colors">
+          {t('admin.grant')}
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Tabs of the console and the roles that may open them
+const tabs = [
+  { id: 'analytics', roles: ['admin', 'analyst'], Panel: AnalyticsPanel },
+  { id: 'feedback', roles: ['admin', 'reviewer'], Panel: FeedbackPanel },
+  { id: 'prompts', roles: ['admin'], Panel: PromptsPanel },
+  { id: 'knowledge', roles: ['admin'], Panel: KnowledgeBasePanel },
+  { id: 'limits', roles: ['admin'], Panel: LimitsPanel },
+  { id: 'staff', roles: ['admin'], Panel: StaffPanel }
+];
+
+// Hook returning the caller's staff role ('admin', 'analyst' or 'reviewer'), or null
+export const useStaffRole = () => {
+  const backend = useBackend();
+  const [role, setRole] = useState(null);
+
+  useEffect(() => {
+    backend.myRole()
+      .then(([granted]) => setRole(granted ? roleOf(granted) : null))
+      .catch(console.error);
+  }, [backend]);
+
+  return role;
+};
+
+// Admin area for staff, showing only the tabs the caller's role may open
+export const AdminConsole = () => {
+  const { t } = useI18n();
+  const role = useStaffRole();
+  const [activeTab, setActiveTab] = useState(tabs[0].id);
+
+  if (!role) return <p className="p-8 text-sm text-gray-500">{t('admin.loading')}</p>;
+
+  const available = tabs.filter(tab => tab.roles.includes(role));
+  const { Panel } = available.find(tab => tab.id === activeTab) ?? available[0];
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex gap-1 px-6 pt-4 border-b">
+        {available.map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 -mb-px border-b-2 text-sm font-medium transition-colors ${tab.id === activeTab ? 'border-green-600 text-green-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            {t(`admin.tabs.${tab.id}`)}
+          </button>
+        ))}
+      </div>
+      <div className="flex-1 overflow-y-auto p-6">
+        <Panel />
+      </div>
+    </div>
+  );
+};
+
+// Home page button to the admin console, shown only to staff
+export const AdminConsoleButton = ({ onOpen }) => {
+  const { t } = useI18n();
+  const role = useStaffRole();
+
+  if (!role) return null;
+
+  return (
+    <button
+      onClick={onOpen}
+      className="mt-2 mr-4 text-green-700 hover:text-green-900 text-sm font-medium transition-colors duration-200"
+    >
+      {t('admin.open')}
+    </button>
+  );
+};
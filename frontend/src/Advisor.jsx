@@ -0,0 +1,602 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useChatContext, ChatHistory, ChatHistoryOverlay } from './ChatManager';
+import { useBackend } from './BackendProvider';
+import { streamChat } from './chatStream';
+import { useOnlineStatus } from './connectivity';
+import { branchAt, branchPaths, switchBranch } from './branches';
+import MessageContent from './MessageContent';
+import { useI18n } from './i18n';
+import { FarmerProfileChip } from './FarmerProfile';
+import SourceCards from './SourceCards';
+import AnswerFeedback from './AnswerFeedback';
+import { PlantingCalendarButton } from './PlantingCalendar';
+import { MarketPricesButton } from './MarketPrices';
+import { DiagnosisButton } from './DiagnosisWizard';
+import { DocumentDrafterButton } from './DocumentDrafter';
+
+// Ratings follow the answer, not its position, so each branch keeps its own
+const ratingKey = (index, branch) => `${index}/${branch}`;
+
+// Chat screen for a single advisor from the registry in advisors.js.
+// onOpenAdvisor switches screens when a history search opens another advisor's session.
+const Advisor = ({ advisor, onOpenAdvisor }) => {
+  const { 
+    isLoaded,
+    isSendingQueue,
+    getCurrentSession, 
+    updateSession, 
+    createNewSession,
+    setSessionLanguage
+  } = useChatContext();
+  const backend = useBackend();
+  const { t, localize, language, setLanguage } = useI18n();
+  const isOnline = useOnlineStatus();
+  
+  const [inputValue, setInputValue] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // Question being edited in place, as { index, text }
+  const [editing, setEditing] = useState(null);
+  // The user's ratings of answers in the current session, keyed by ratingKey
+  const [ratings, setRatings] = useState({});
+  const chatBoxRef = useRef(null);
+  const jobIdRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const botType = advisor.id;
+  const theme = advisor.theme;
+  const copy = localize(advisor.copy);
+  const currentSession = getCurrentSession(botType);
+
+  // Initialize session once stored sessions are loaded and none exists
+  useEffect(() => {
+    if (isLoaded && !currentSession) {
+      createNewSession(botType);
+    }
+  }, [isLoaded, currentSession, createNewSession]);
+
+  // Session whose language the UI has been switched to
+  const languageSessionRef = useRef(null);
+
+  // Opening a session restores the language it was held in; switching
+  // language while it is open moves the session to the new language
+  useEffect(() => {
+    if (!currentSession) return;
+    if (languageSessionRef.current !== currentSession.id) {
+      languageSessionRef.current = currentSession.id;
+      if (currentSession.language && currentSession.language !== language) setLanguage(currentSession.language);
+    } else if (currentSession.language !== language) {
+      setSessionLanguage(botType, currentSession.id, language);
+    }
+  }, [currentSession?.id, language]);
+
+  useEffect(() => {
+    if (!currentSession) return;
+    setRatings({});
+    backend.getSessionFeedback(currentSession.id)
+      .then(entries => setRatings(Object.fromEntries(entries.map(([index, branch, rating]) => [ratingKey(Number(index), branch), Object.keys(rating)[0]]))))
+      .catch(console.error);
+  }, [backend, currentSession?.id]);
+
+  const formatTime = (date) => {
+    const h = '0' + date.getHours();
+    const m = '0' + date.getMinutes();
+    return `${h.slice(-2)}:${m.slice(-2)}`;
+  };
+
+  // Explain why a message failed, using the advisor's own wording for unexpected errors
+  const failureText = (failure) => {
+    switch (failure.kind) {
+      case 'rateLimited':
+        return failure.retryAfterSeconds > 60
+          ? t('chat.errors.quotaReached', { minutes: Math.ceil(failure.retryAfterSeconds / 60) })
+          : t('chat.errors.rateLimited', { seconds: failure.retryAfterSeconds });
+      case 'inputTooLong':
+        return t('chat.errors.inputTooLong', { max: failure.maxChars });
+      case 'historyTooLong':
+      case 'unauthenticated':
+      case 'llmUnavailable':
+      case 'network':
+      case 'cancelled':
+        return t(`chat.errors.${failure.kind}`);
+      default:
+        return copy.errorText;
+    }
+  };
+
+  // Pass { reuseSummary: false } when the messages the session summary covers
+  // were replaced, so the backend does not reuse it
+  const sendMessage = async (messages, { reuseSummary = true } = {}) => {
+    const abort = new AbortController();
+    abortRef.current = abort;
+    try {
+      // Extract messages for backend (exclude the welcome and loading messages)
+      const messagesToSend = messages.slice(1, -1);
+
+      // Replace the loading message with the reply as it arrives
+      const showReply = (content, options, { citations = [], promptVersion = null } = {}) => {
+        const updatedMessages = messages.slice(0, -1);
+        if (content) {
+          updatedMessages.push({ 
+            system: { 
+              content,
+              timestamp: new Date(),
+              citations,
+              promptVersion
+            }
+          });
+        }
+        updateSession(botType, currentSession.id, updatedMessages, options);
+      };
+
+      const request = {
+        advisorId: botType,
+        language: currentSession.language ?? language,
+        sessionId: reuseSummary ? [currentSession.id] : [],
+        messages: messagesToSend
+      };
+      const { text, cancelled, summarizedCount, citations, promptVersion } = await streamChat(backend, request, {
+        onJob: (jobId) => { jobIdRef.current = jobId; },
+        onText: (partial) => showReply(partial, { persist: false }),
+        onRetry: (attempt) => showReply(t('chat.retrying', { attempt }), { persist: false }),
+        signal: abort.signal
+      });
+      if (cancelled && !text) {
+        // Stopped before any answer arrived, so the question is left unanswered
+        // like a failed one, ready to be retried or edited
+        const updatedMessages = messages.slice(0, -1);
+        const question = updatedMessages.pop();
+        updatedMessages.push({ user: { ...question.user, failed: { kind: 'cancelled' } } });
+        updateSession(botType, currentSession.id, updatedMessages, { persist: false });
+        return;
+      }
+      // A stopped job never summarised anything, so the session keeps its summary
+      showReply(text, cancelled ? {} : { summarizedCount }, { citations, promptVersion });
+    } catch (err) {
+      console.error(err);
+      const updatedMessages = messages.slice(0, -1);
+      const question = updatedMessages.pop();
+      if (err.kind === 'network') {
+        // Queue the question; it is sent again once the backend can be reached
+        updatedMessages.push({ user: { ...question.user, pending: true } });
+        updateSession(botType, currentSession.id, updatedMessages);
+        return;
+      }
+      // Drop the loading message and mark the question as failed. It stays
+      // local until retried, so it never reaches the stored history.
+      updatedMessages.push({
+        user: {
+          ...question.user,
+          failed: { kind: err.kind ?? 'unknown', retryAfterSeconds: err.retryAfterSeconds, maxChars: err.maxChars, maxMessages: err.maxMessages }
+        }
+      });
+      updateSession(botType, currentSession.id, updatedMessages, { persist: false });
+    } finally {
+      jobIdRef.current = null;
+      abortRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  // Stop waiting for the answer and cancel its job so the reply is never shown.
+  // The backend still finishes generating it.
+  const handleStop = () => {
+    if (abortRef.current) abortRef.current.abort();
+    if (jobIdRef.current !== null) {
+      backend.cancelChat(jobIdRef.current).catch(console.error);
+    }
+  };
+
+  const askQuestion = (question) => {
+    if (!question.trim() || !currentSession || isLoading) return;
+
+    const userMessage = { 
+      user: { 
+        content: question,
+        timestamp: new Date()
+      }
+    };
+    const loadingMessage = { 
+      system: { 
+        content: copy.loadingText,
+        timestamp: new Date()
+      }
+    };
+
+    // A new question replaces any question that failed to send
+    const sentMessages = currentSession.messages.filter(msg => !msg.user?.failed);
+
+    // Without a connection, or behind questions already waiting, the question
+    // is queued in the session and sent by the chat provider later
+    if (!isOnline || sentMessages.some(msg => msg.user?.pending)) {
+      updateSession(botType, currentSession.id, [...sentMessages, { user: { ...userMessage.user, pending: true } }]);
+      setInputValue('');
+      return;
+    }
+
+    const newMessages = [...sentMessages, userMessage, loadingMessage];
+    updateSession(botType, currentSession.id, newMessages, { persist: false });
+    
+    setInputValue('');
+    setIsLoading(true);
+    
+    // Send message to backend
+    sendMessage(newMessages);
+  };
+
+  // Send a failed question again. It is the last message unless questions were
+  // queued after it, in which case it rejoins the queue ahead of them.
+  const handleRetry = (index) => {
+    if (isLoading) return;
+    const { failed, ...question } = currentSession.messages[index].user;
+    if (index < currentSession.messages.length - 1 || !isOnline) {
+      const messages = [...currentSession.messages];
+      messages[index] = { user: { ...question, pending: true } };
+      updateSession(botType, currentSession.id, messages);
+      return;
+    }
+    const messages = currentSession.messages.slice(0, -1);
+    const newMessages = [
+      ...messages,
+      { user: { ...question, timestamp: new Date() } },
+      { system: { content: copy.loadingText, timestamp: new Date() } }
+    ];
+    updateSession(botType, currentSession.id, newMessages, { persist: false });
+    setIsLoading(true);
+    sendMessage(newMessages);
+  };
+
+  // Ask `content` in a new branch starting at message `index`, keeping the
+  // current messages from there on as another branch. Used both to edit a
+  // question and to regenerate an answer by asking its question again.
+  const askInBranch = (index, content) => {
+    if (!content.trim() || isLoading) return;
+    const messages = currentSession.messages.filter(msg => !msg.user?.failed);
+    // The summary no longer applies if it covers any replaced message
+    const reuseSummary = index > (currentSession.summarizedCount ?? 0);
+    const fields = reuseSummary ? {} : { summarizedCount: 0 };
+    const question = { user: { content, timestamp: new Date() } };
+    setEditing(null);
+
+    if (!isOnline) {
+      updateSession(botType, currentSession.id, branchAt(messages, index, [{ user: { ...question.user, pending: true } }]), fields);
+      return;
+    }
+
+    const newMessages = branchAt(messages, index, [question, { system: { content: copy.loadingText, timestamp: new Date() } }]);
+    updateSession(botType, currentSession.id, newMessages, { persist: false, ...fields });
+    setIsLoading(true);
+    sendMessage(newMessages, { reuseSummary });
+  };
+
+  // Show another branch of the fork after message `parentIndex`
+  const handleSwitchBranch = (parentIndex, choice) => {
+    if (isLoading) return;
+    const messages = currentSession.messages.filter(msg => !msg.user?.failed);
+    const fields = parentIndex < (currentSession.summarizedCount ?? 0) ? { summarizedCount: 0 } : {};
+    updateSession(botType, currentSession.id, switchBranch(messages, parentIndex, choice), fields);
+  };
+
+  // Put a question that cannot be sent as it is back in the input box
+  const handleEditFailed = (index) => {
+    const question = currentSession.messages[index].user;
+    updateSession(botType, currentSession.id, currentSession.messages.filter((_, i) => i !== index));
+    setInputValue(question.content);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    askQuestion(inputValue);
+  };
+
+  // Append finished messages, such as a diagnosis card, to the current session
+  const appendMessages = (messages) => {
+    const sentMessages = currentSession.messages.filter(msg => !msg.user?.failed);
+    updateSession(botType, currentSession.id, [...sentMessages, ...messages]);
+  };
+
+  const handleNewChat = () => {
+    createNewSession(botType);
+  };
+
+  useEffect(() => {
+    if (chatBoxRef.current) {
+      chatBoxRef.current.scrollTop = chatBoxRef.current.scrollHeight;
+    }
+  }, [currentSession?.messages]);
+
+  if (!currentSession) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="text-center">
+          <div className={`animate-spin rounded-full h-12 w-12 border-b-2 ${theme.spinner} mx-auto mb-4`}></div>
+          <p className="text-gray-600">{t('chat.initializing')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const hasQuestions = currentSession.messages.some(msg => 'user' in msg);
+  const branches = branchPaths(currentSession.messages);
+  // Branches are not changed while an answer loads or questions wait to be sent
+  const canBranch = !isLoading && !currentSession.messages.some(msg => msg.user?.pending);
+  const summarizedCount = currentSession.summarizedCount ?? 0;
+
+  return (
+    <div className="h-full flex flex-col relative">
+      {/* Chat History */}
+      <ChatHistory 
+        botType={botType}
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        onOpenAdvisor={onOpenAdvisor}
+      />
+      <ChatHistoryOverlay 
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+      />
+
+      {/* Header */}
+      <div className={`flex items-center justify-between p-4 border-b bg-gradient-to-r ${theme.header}`}>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setShowHistory(true)}
+            className={`p-2 rounded-lg transition-colors ${theme.headerButton}`}
+            title={t('chat.history')}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
+            </svg>
+          </button>
+          <div>
+            <h2 className={`text-lg font-semibold ${theme.title}`}>{advisor.icon} {copy.title}</h2>
+            <p className={`text-sm ${theme.subtitle}`}>{copy.subtitle}</p>
+            {advisor.features.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {advisor.features.includes('farmerProfile') && <FarmerProfileChip />}
+                {advisor.features.includes('plantingCalendar') && <PlantingCalendarButton />}
+                {advisor.features.includes('marketPrices') && <MarketPricesButton />}
+                {advisor.features.includes('diagnosis') && <DiagnosisButton onAddToChat={appendMessages} disabled={isLoading} />}
+                {advisor.features.includes('drafting') && <DocumentDrafterButton />}
+              </div>
+            )}
+          </div>
+        </div>
+        <button
+          onClick={handleNewChat}
+          className={`flex items-center space-x-2 px-4 py-2 text-white rounded-lg transition-colors shadow-md hover:shadow-lg ${theme.button}`}
+          title={t('chat.startNewChat')}
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+          </svg>
+          <span className="hidden sm:inline">{t('chat.newChat')}</span>
+        </button>
+      </div>
+
+      {/* Chat Messages */}
+      <div 
+        ref={chatBoxRef}
+        className={`flex-1 overflow-y-auto p-4 space-y-4 bg-gradient-to-b ${theme.chatBackground} to-white`}
+      >
+        {currentSession.messages.map((m, i) => {
+          const branch = branches[i];
+          const isUser = 'user' in m;
+          const message = isUser ? m.user : m.system;
+          const text = message.content;
+          const timestamp = message.timestamp;
+          const citations = isUser ? [] : message.citations ?? [];
+          const failure = isUser ? message.failed : null;
+          const isPending = isUser && message.pending;
+          const isStreaming = isLoading && !isUser && i === currentSession.messages.length - 1;
+          // History sent to the backend starts after the welcome message
+          const isFirstUnsummarized = summarizedCount > 0 && i === summarizedCount + 1;
+          // Answers to a question can be rated once they have finished
+          const question = !isUser && !isStreaming && i > 0 ? currentSession.messages[i - 1].user : null;
+          const branches = i > 0 ? currentSession.messages[i - 1].branches : null;
+          const isEditing = editing?.index === i;
+
+          return (
+            <React.Fragment key={i}>
+              {isFirstUnsummarized && (
+                <div className="flex items-center space-x-3 text-xs text-gray-400" title={t('chat.summarizedHint')}>
+                  <div className="flex-1 border-t border-dashed border-gray-300"></div>
+                  <span>{t('chat.summarized', { count: summarizedCount })}</span>
+                  <div className="flex-1 border-t border-dashed border-gray-300"></div>
+                </div>
+              )}
+              <div className={`flex flex-col ${isUser ? 'items-end' : 'items-start'}`}>
+                {isEditing ? (
+                  <div className="w-full max-w-xs lg:max-w-md xl:max-w-lg space-y-2">
+                    <textarea
+                      autoFocus
+                      value={editing.text}
+                      onChange={(e) => setEditing({ index: i, text: e.target.value })}
+                      rows={3}
+                      className={`w-full px-3 py-2 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 ${theme.focusRing} focus:border-transparent`}
+                    />
+                    <div className="flex justify-end space-x-2 text-sm">
+                      <button onClick={() => setEditing(null)} className="px-3 py-1 text-gray-600 hover:text-gray-800">
+                        {t('chat.cancelEdit')}
+                      </button>
+                      <button
+                        onClick={() => askInBranch(i, editing.text)}
+                        disabled={!editing.text.trim() || editing.text === text}
+                        className={`px-3 py-1 bg-gradient-to-r ${theme.sendButton} text-white rounded-lg disabled:opacity-50`}
+                      >
+                        {t('chat.saveAndSend')}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                <div className={`max-w-xs lg:max-w-md xl:max-w-lg ${
+                  isUser 
+                    ? `bg-gradient-to-r ${theme.userBubble} text-white rounded-l-2xl rounded-br-sm ${failure ? 'opacity-60 ring-2 ring-red-400' : isPending ? 'opacity-60' : ''}` 
+                    : 'bg-white text-gray-800 rounded-r-2xl rounded-bl-sm shadow-md border border-gray-100'
+                } px-4 py-3 break-words`}>
+                  {isUser ? (
+                    <div className="whitespace-pre-wrap">{text}</div>
+                  ) : (
+                    <MessageContent content={text} />
+                  )}
+                  {isStreaming && (
+                    <span className="inline-block w-2 h-4 align-middle bg-gray-400 animate-pulse"></span>
+                  )}
+                  {citations.length > 0 && <SourceCards citations={citations} />}
+                  {timestamp && (
+                    <div className={`text-xs mt-2 ${
+                      isUser ? theme.userTimestamp : 'text-gray-400'
+                    }`}>
+                      {formatTime(timestamp)}
+                    </div>
+                  )}
+                </div>
+                )}
+                {(branches || (isUser && canBranch && !failure && !isPending && !isEditing)) && (
+                  <div className="flex items-center space-x-2 mt-1 text-xs text-gray-500">
+                    {branches && (
+                      <span className="flex items-center space-x-1" title={t('chat.branchHint')}>
+                        <button
+                          onClick={() => handleSwitchBranch(i - 1, branches.active - 1)}
+                          disabled={!canBranch || branches.active === 0}
+                          className="px-1 hover:text-gray-800 disabled:opacity-30"
+                          title={t('chat.previousBranch')}
+                        >
+                          ‹
+                        </button>
+                        <span>{branches.active + 1}/{branches.tails.length}</span>
+                        <button
+                          onClick={() => handleSwitchBranch(i - 1, branches.active + 1)}
+                          disabled={!canBranch || branches.active === branches.tails.length - 1}
+                          className="px-1 hover:text-gray-800 disabled:opacity-30"
+                          title={t('chat.nextBranch')}
+                        >
+                          ›
+                        </button>
+                      </span>
+                    )}
+                    {isUser && canBranch && !failure && !isPending && !isEditing && (
+                      <button onClick={() => setEditing({ index: i, text })} className="hover:text-gray-800">
+                        ✏️ {t('chat.editQuestion')}
+                      </button>
+                    )}
+                  </div>
+                )}
+                {question && (
+                  <div className="flex items-start space-x-2">
+                    <AnswerFeedback
+                      advisorId={botType}
+                      sessionId={currentSession.id}
+                      messageIndex={i}
+                      branch={branch}
+                      question={question.content}
+                      answer={text}
+                      promptVersion={message.promptVersion}
+                      rating={ratings[ratingKey(i, branch)]}
+                      onRated={(rating) => setRatings(current => ({ ...current, [ratingKey(i, branch)]: rating }))}
+                    />
+                    {canBranch && (
+                      <button
+                        onClick={() => askInBranch(i - 1, question.content)}
+                        className="mt-1 p-1 text-xs text-gray-400 hover:text-gray-700 transition-colors"
+                        title={t('chat.regenerateHint')}
+                      >
+                        ↻ {t('chat.regenerate')}
+                      </button>
+                    )}
+                  </div>
+                )}
+                {isPending && (
+                  <div className="flex items-center space-x-1 mt-1 text-xs text-gray-500">
+                    <span>{isSendingQueue && isOnline ? `⏳ ${t('chat.sendingQueued')}` : `🕓 ${t('chat.queued')}`}</span>
+                  </div>
+                )}
+                {failure && (
+                  <div className="flex items-center space-x-2 mt-1 text-xs text-red-600">
+                    <span>⚠ {failureText(failure)}</span>
+                    {failure.kind === 'inputTooLong' ? (
+                      <button onClick={() => handleEditFailed(i)} className="font-semibold underline hover:text-red-800">
+                        {t('chat.editMessage')}
+                      </button>
+                    ) : failure.kind === 'historyTooLong' ? (
+                      <button onClick={handleNewChat} className="font-semibold underline hover:text-red-800">
+                        {t('chat.newChat')}
+                      </button>
+                    ) : (
+                      <button onClick={() => handleRetry(i)} disabled={isLoading} className="font-semibold underline hover:text-red-800 disabled:opacity-50">
+                        {t('chat.retry')}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </React.Fragment>
+          );
+        })}
+
+        {/* Suggested Prompts */}
+        {!hasQuestions && !isLoading && (
+          <div className="flex flex-wrap gap-2 pt-2">
+            {copy.suggestedPrompts.map((prompt) => (
+              <button
+                key={prompt}
+                onClick={() => askQuestion(prompt)}
+                className={`px-3 py-2 text-sm bg-white border rounded-full transition-colors shadow-sm ${theme.chip}`}
+              >
+                {prompt}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Input Area */}
+      <div className="p-4 border-t bg-white">
+        <div className="flex space-x-3">
+          <input
+            type="text"
+            value={inputValue}
+            onChange={(e) => setInputValue(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleSubmit(e)}
+            placeholder={copy.placeholder}
+            disabled={isLoading}
+            className={`flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 ${theme.focusRing} focus:border-transparent disabled:bg-gray-100 disabled:cursor-not-allowed`}
+          />
+          {isLoading && (
+            <button
+              onClick={handleStop}
+              className="px-4 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-all duration-200 shadow-md hover:shadow-lg flex items-center space-x-2"
+              title={t('chat.stopTitle')}
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                <rect x="6" y="6" width="12" height="12" rx="2" />
+              </svg>
+              <span>{t('chat.stop')}</span>
+            </button>
+          )}
+          <button
+            onClick={handleSubmit}
+            disabled={isLoading || !inputValue.trim()}
+            className={`px-6 py-3 bg-gradient-to-r ${theme.sendButton} text-white rounded-xl focus:outline-none focus:ring-2 ${theme.focusRing} focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-md hover:shadow-lg flex items-center space-x-2`}
+          >
+            {isLoading ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                <span>{t('chat.thinking')}</span>
+              </>
+            ) : (
+              <>
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                </svg>
+                <span>{t('chat.send')}</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Advisor;
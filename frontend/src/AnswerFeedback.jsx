@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+
+export const FEEDBACK_REASONS = ['wrongLaw', 'outdated', 'unsafe', 'notKenyan'];
+
+// Thumbs up/down under a bot answer. Thumbs down opens a form for reason tags
+// and a correction; both are sent to the backend for expert review.
+const AnswerFeedback = ({ advisorId, sessionId, messageIndex, branch, question, answer, promptVersion, rating, onRated }) => {
+  const backend = useBackend();
+  const { t } = useI18n();
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [reasons, setReasons] = useState([]);
+  const [correction, setCorrection] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (newRating) => {
+    setIsSending(true);
+    setError(null);
+    try {
+      await backend.submitFeedback({
+        sessionId,
+        messageIndex: BigInt(messageIndex),
+        branch,
+        advisorId,
+        promptVersion: promptVersion != null ? [BigInt(promptVersion)] : [],
+        question,
+        answer,
+        rating: { [newRating]: null },
+        reasons: newRating === 'down' ? reasons.map(reason => ({ [reason]: null })) : [],
+        correction: newRating === 'down' ? correction.trim() : ''
+      });
+      onRated(newRating);
+      setIsFormOpen(false);
+    } catch (err) {
+      console.error(err);
+      setError(t('feedback.error'));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const toggleReason = (reason) => {
+    setReasons(current => current.includes(reason) ? current.filter(r => r !== reason) : [...current, reason]);
+  };
+
+  const thumbClass = (value) => `p-1 rounded transition-colors disabled:opacity-50 ${
+    rating === value ? 'text-gray-800 bg-gray-100' : 'text-gray-400 hover:text-gray-700 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="mt-1 text-xs text-gray-500">
+      <div className="flex items-center space-x-1">
+        <button onClick={() => submit('up')} disabled={isSending} className={thumbClass('up')} title={t('feedback.helpful')}>👍</button>
+        <button onClick={() => setIsFormOpen(open => !open)} disabled={isSending} className={thumbClass('down')} title={t('feedback.notHelpful')}>👎</button>
+        {rating && !isFormOpen && <span>{t('feedback.thanks')}</span>}
+      </div>
+      {isFormOpen && (
+        <div className="mt-2 p-3 w-72 max-w-full bg-white border border-gray-200 rounded-lg shadow-sm space-y-2">
+          <p className="font-medium text-gray-700">{t('feedback.whatWasWrong')}</p>
+          <div className="flex flex-wrap gap-1">
+            {FEEDBACK_REASONS.map(reason => (
+              <button
+                key={reason}
+                onClick={() => toggleReason(reason)}
+                className={`px-2 py-1 rounded-full border transition-colors ${
+                  reasons.includes(reason) ? 'bg-red-50 border-red-300 text-red-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {t(`feedback.reasons.${reason}`)}
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={correction}
+            onChange={(e) => setCorrection(e.target.value)}
+            rows={3}
+            placeholder={t('feedback.correction')}
+            className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-gray-400"
+          />
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setIsFormOpen(false)} className="px-2 py-1 text-gray-600 hover:text-gray-800">{t('feedback.cancel')}</button>
+            <button onClick={() => submit('down')} disabled={isSending} className="px-3 py-1 rounded bg-gray-800 text-white hover:bg-gray-900 disabled:opacity-50">
+              {t('feedback.send')}
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <p className="mt-1 text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default AnswerFeedback;
@@ -0,0 +1,40 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { createActor, canisterId } from 'declarations/backend';
+
+// Backend Context for sharing the authenticated actor
+const BackendContext = createContext(null);
+const PrincipalContext = createContext(null);
+
+// Build a backend actor whose calls are signed with the given identity
+export const createBackendActor = (identity) => {
+  return createActor(canisterId, {
+    agentOptions: { identity }
+  });
+};
+
+export const useBackend = () => {
+  const backend = useContext(BackendContext);
+  if (!backend) {
+    throw new Error('useBackend must be used within a BackendProvider with a signed-in identity');
+  }
+  return backend;
+};
+
+// Text of the signed-in principal, for keeping per-user data in the browser
+export const usePrincipal = () => useContext(PrincipalContext);
+
+export const BackendProvider = ({ identity, children }) => {
+  const backend = useMemo(
+    () => identity ? createBackendActor(identity) : null,
+    [identity]
+  );
+  const principal = identity ? identity.getPrincipal().toText() : null;
+
+  return (
+    <BackendContext.Provider value={backend}>
+      <PrincipalContext.Provider value={principal}>
+        {children}
+      </PrincipalContext.Provider>
+    </BackendContext.Provider>
+  );
+};
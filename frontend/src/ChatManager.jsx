@@ -1,4 +1,16 @@
-import React, { useState, createContext, useContext, useEffect } from 'react';
+import React, { useState, createContext, useContext, useEffect, useRef } from 'react';
+import { useBackend, usePrincipal } from './BackendProvider';
+import { advisorIds, getAdvisor } from './advisors';
+import { useI18n } from './i18n';
+import { toStoredCitation, fromStoredCitation } from './citations';
+import { streamChat } from './chatStream';
+import { useOnlineStatus } from './connectivity';
+import * as offlineStore from './offlineStore';
+import { compareSessions, normalizeTag, normalizeTags, searchSessions, splitMatches, MAX_TAG_CHARS } from './sessionSearch';
+import { parseArchive, toArchive, toMarkdown } from './sessionArchive';
+import { downloadConversationPdf, downloadJson, downloadMarkdown } from './exportDocument';
+import { CopyButton, SharedLinksList } from './SharedLinks';
+import { shareUrl } from './routes';
 
 // Chat Context for managing chat sessions
 const ChatContext = createContext();
@@ -11,15 +23,230 @@ export const useChatContext = () => {
   return context;
 };
 
+// Build an object with one entry per registered advisor
+const perAdvisor = (makeValue) => Object.fromEntries(advisorIds.map(id => [id, makeValue()]));
+
+const emptySessions = () => perAdvisor(() => []);
+
+const emptySelection = () => perAdvisor(() => null);
+
+// How often queued questions are retried while the browser reports a connection
+const QUEUE_RETRY_MS = 30000;
+
+// Questions asked offline wait in the session with `pending` set, and failed
+// ones with `failed`; neither is sent to the backend as part of the history
+const isUnsent = (msg) => Boolean(msg.user?.pending || msg.user?.failed);
+
+// Convert messages to backend StoredMessages, including the branches they carry
+const toStoredMessages = (messages, fallbackTimestamp) => messages.filter(msg => !isUnsent(msg)).map(msg => {
+  const role = 'user' in msg ? 'user' : 'system';
+  const timestamp = msg[role].timestamp ?? msg.timestamp ?? fallbackTimestamp;
+  const stored = {
+    content: msg[role].content,
+    timestamp: BigInt(new Date(timestamp).getTime()),
+    branches: msg.branches ? [{
+      active: BigInt(msg.branches.active),
+      tails: msg.branches.tails.map(tail => toStoredMessages(tail, fallbackTimestamp))
+    }] : []
+  };
+  if (role === 'system') {
+    stored.citations = (msg.system.citations ?? []).map(toStoredCitation);
+    stored.promptVersion = msg.system.promptVersion != null ? [BigInt(msg.system.promptVersion)] : [];
+  }
+  return { [role]: stored };
+});
+
+// Convert backend StoredMessages back to the frontend shape
+export const fromStoredMessages = (messages) => messages.map(msg => {
+  const role = 'user' in msg ? 'user' : 'system';
+  const stored = msg[role];
+  const message = role === 'user'
+    ? { user: { content: stored.content, timestamp: new Date(Number(stored.timestamp)) } }
+    : {
+      system: {
+        content: stored.content,
+        timestamp: new Date(Number(stored.timestamp)),
+        citations: stored.citations.map(fromStoredCitation),
+        promptVersion: stored.promptVersion.length > 0 ? Number(stored.promptVersion[0]) : null
+      }
+    };
+  if (stored.branches.length > 0) {
+    message.branches = {
+      active: Number(stored.branches[0].active),
+      tails: stored.branches[0].tails.map(fromStoredMessages)
+    };
+  }
+  return message;
+});
+
+// Convert a session from the frontend shape to the backend ChatSession record
+const toStoredSession = (botType, session) => ({
+  id: session.id,
+  botType,
+  title: session.title,
+  language: session.language ?? 'en',
+  messages: toStoredMessages(session.messages, session.updatedAt),
+  // Maintained by the backend; saveSession keeps the stored summary
+  summary: [],
+  customTitle: session.customTitle ?? false,
+  pinned: session.pinned ?? false,
+  tags: session.tags ?? [],
+  createdAt: BigInt(new Date(session.createdAt).getTime()),
+  updatedAt: BigInt(new Date(session.updatedAt).getTime())
+});
+
+// Convert a backend ChatSession record back to the frontend shape
+const fromStoredSession = (stored) => ({
+  id: stored.id,
+  title: stored.title,
+  language: stored.language,
+  messages: fromStoredMessages(stored.messages),
+  // Number of leading history messages the backend has folded into a summary
+  summarizedCount: stored.summary.length > 0 ? Number(stored.summary[0].messageCount) : 0,
+  customTitle: stored.customTitle,
+  pinned: stored.pinned,
+  tags: stored.tags,
+  createdAt: new Date(Number(stored.createdAt)),
+  updatedAt: new Date(Number(stored.updatedAt))
+});
+
 export const ChatProvider = ({ children }) => {
-  const [chatSessions, setChatSessions] = useState({
-    agri: [],
-    legal: []
-  });
-  const [currentSessionId, setCurrentSessionId] = useState({
-    agri: null,
-    legal: null
-  });
+  const [chatSessions, setChatSessions] = useState(emptySessions);
+  const [currentSessionId, setCurrentSessionId] = useState(emptySelection);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const sessionsRef = useRef(chatSessions);
+  sessionsRef.current = chatSessions;
+
+  const actor = useBackend();
+  const principal = usePrincipal();
+  const { t, localize, language } = useI18n();
+  const isOnline = useOnlineStatus();
+  const [isSendingQueue, setIsSendingQueue] = useState(false);
+  const queueBusyRef = useRef(false);
+  // Backend writes per session id, chained so they reach the backend and the browser copy in order
+  const syncChainsRef = useRef({});
+
+  // Show sessions of the form { botType, session }, keeping the open session where it still exists
+  const showSessions = (entries) => {
+    const loaded = emptySessions();
+    entries.forEach(({ botType, session }) => {
+      // Browser copies saved before sessions had these fields lack them
+      if (loaded[botType]) loaded[botType].push({ customTitle: false, pinned: false, tags: [], ...session });
+    });
+
+    setChatSessions(loaded);
+    setCurrentSessionId(prev => {
+      const selection = emptySelection();
+      Object.keys(loaded).forEach(botType => {
+        if (loaded[botType].some(session => session.id === prev[botType])) {
+          selection[botType] = prev[botType];
+        } else {
+          const latest = [...loaded[botType]].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+          selection[botType] = latest ? latest.id : null;
+        }
+      });
+      return selection;
+    });
+  };
+
+  // Combine the browser copy with the backend's sessions. Changes the backend
+  // has not received win; otherwise the newer copy does, and the backend's on
+  // a tie, since renaming, pinning or tagging elsewhere keeps updatedAt.
+  const mergeSessions = (records, stored) => {
+    const local = new Map(records.map(record => [record.session.id, record]));
+    const merged = [];
+    stored.forEach(storedSession => {
+      const record = local.get(storedSession.id);
+      local.delete(storedSession.id);
+      if (record?.deleted) return;
+      const remote = fromStoredSession(storedSession);
+      if (record && (record.unsynced || record.session.updatedAt > remote.updatedAt)) {
+        merged.push({ botType: record.botType, session: record.session });
+      } else {
+        merged.push({ botType: storedSession.botType, session: remote });
+        offlineStore.putSession(principal, storedSession.botType, remote).catch(console.error);
+      }
+    });
+    // Sessions only in the browser were either created offline or deleted elsewhere
+    local.forEach(record => {
+      if (record.unsynced && !record.deleted) {
+        merged.push({ botType: record.botType, session: record.session });
+      } else if (!record.unsynced) {
+        offlineStore.removeRecord(principal, record.session.id).catch(console.error);
+      }
+    });
+    return merged;
+  };
+
+  // Load the signed-in user's sessions whenever the identity changes
+  useEffect(() => {
+    setChatSessions(emptySessions());
+    setCurrentSessionId(emptySelection());
+    setIsLoaded(false);
+
+    let cancelled = false;
+    async function loadSessions() {
+      // Show the browser copy first so sessions open without a connection
+      let records = [];
+      try {
+        records = await offlineStore.loadRecords(principal);
+      } catch (err) {
+        console.error(err);
+      }
+      if (cancelled) return;
+      if (records.some(record => !record.deleted) || !navigator.onLine) {
+        showSessions(records.filter(record => !record.deleted));
+        setIsLoaded(true);
+      }
+
+      try {
+        const stored = await actor.listSessions();
+        if (cancelled) return;
+        showSessions(mergeSessions(records, stored));
+      } catch (err) {
+        console.error(err);
+      } finally {
+        if (!cancelled) setIsLoaded(true);
+      }
+    }
+    loadSessions();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [actor]);
+
+  // Run a write for a session after the earlier ones for it have finished
+  const enqueueSync = (sessionId, task) => {
+    const previous = syncChainsRef.current[sessionId] ?? Promise.resolve();
+    syncChainsRef.current[sessionId] = previous.then(task).catch(console.error);
+  };
+
+  // Save a session in the browser, then to the backend. If the backend cannot
+  // be reached the browser copy stays marked unsynced until the next sync.
+  const persistSession = (botType, session) => {
+    enqueueSync(session.id, async () => {
+      await offlineStore.putSession(principal, botType, session, { unsynced: true });
+      await actor.saveSession(toStoredSession(botType, session));
+      await offlineStore.putSession(principal, botType, session);
+    });
+  };
+
+  // Send changes made while offline to the backend
+  const syncSessions = async () => {
+    const records = await offlineStore.loadRecords(principal);
+    records.filter(record => record.unsynced).forEach(record => {
+      if (record.deleted) {
+        enqueueSync(record.session.id, async () => {
+          await actor.deleteSession(record.session.id);
+          await offlineStore.removeRecord(principal, record.session.id);
+        });
+      } else {
+        const session = sessionsRef.current[record.botType]?.find(s => s.id === record.session.id) ?? record.session;
+        persistSession(record.botType, session);
+      }
+    });
+  };
 
   // Generate unique session ID
   const generateSessionId = () => {
@@ -31,17 +258,19 @@ export const ChatProvider = ({ children }) => {
     const sessionId = generateSessionId();
     const newSession = {
       id: sessionId,
-      title: `Chat ${chatSessions[botType].length + 1}`,
+      title: t('chat.numberedTitle', { count: chatSessions[botType].length + 1 }),
+      language,
       messages: [
         { 
           system: { 
-            content: botType === 'agri' 
-              ? "Hello! I'm your Kenyan Agriculture Advisor. Ask about crops, diseases, weather, or market prices."
-              : "Hello! I'm your Kenyan Legal Advisor. I can help with legal questions specific to Kenyan law."
+            content: localize(getAdvisor(botType).copy).welcomeMessage
           },
           timestamp: new Date()
         }
       ],
+      customTitle: false,
+      pinned: false,
+      tags: [],
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -66,21 +295,67 @@ export const ChatProvider = ({ children }) => {
     return chatSessions[botType].find(session => session.id === sessionId);
   };
 
-  // Update session messages
-  const updateSession = (botType, sessionId, newMessages) => {
+  // Update session messages; pass { persist: false } for transient states such as a retry
+  // notice shown while waiting for a reply. Any other option is copied onto the session as a field.
+  const updateSession = (botType, sessionId, newMessages, { persist = true, ...fields } = {}) => {
+    const session = sessionsRef.current[botType].find(s => s.id === sessionId);
+    if (!session) return;
+
+    const updated = {
+      ...session,
+      ...fields,
+      messages: newMessages,
+      updatedAt: new Date(),
+      title: session.customTitle ? session.title : generateSessionTitle(newMessages)
+    };
+
     setChatSessions(prev => ({
       ...prev,
-      [botType]: prev[botType].map(session =>
-        session.id === sessionId
-          ? {
-              ...session,
-              messages: newMessages,
-              updatedAt: new Date(),
-              title: generateSessionTitle(newMessages)
-            }
-          : session
-      )
+      [botType]: prev[botType].map(s => s.id === sessionId ? updated : s)
     }));
+
+    if (persist) {
+      persistSession(botType, updated);
+    }
+  };
+
+  // Change a session's title, pin or tags without touching its messages.
+  // updatedAt is left as is: it tracks conversation activity, which orders
+  // the recent list and drives the date filter.
+  const updateSessionDetails = (botType, sessionId, fields) => {
+    const session = sessionsRef.current[botType].find(s => s.id === sessionId);
+    if (!session) return;
+
+    const updated = { ...session, ...fields };
+    setChatSessions(prev => ({
+      ...prev,
+      [botType]: prev[botType].map(s => s.id === sessionId ? updated : s)
+    }));
+    persistSession(botType, updated);
+  };
+
+  // Rename a session; an empty title goes back to the generated one
+  const renameSession = (botType, sessionId, title) => {
+    const session = sessionsRef.current[botType].find(s => s.id === sessionId);
+    if (!session) return;
+    const trimmed = title.trim();
+    updateSessionDetails(botType, sessionId, {
+      title: trimmed || generateSessionTitle(session.messages),
+      customTitle: trimmed !== ''
+    });
+  };
+
+  const setSessionPinned = (botType, sessionId, pinned) => {
+    updateSessionDetails(botType, sessionId, { pinned });
+  };
+
+  const setSessionTags = (botType, sessionId, tags) => {
+    updateSessionDetails(botType, sessionId, { tags: normalizeTags(tags) });
+  };
+
+  // Record the language a session is held in, after the user switches language inside it
+  const setSessionLanguage = (botType, sessionId, sessionLanguage) => {
+    updateSessionDetails(botType, sessionId, { language: sessionLanguage });
   };
 
   // Generate session title from first user message
@@ -90,7 +365,7 @@ export const ChatProvider = ({ children }) => {
       const content = firstUserMessage.user.content;
       return content.length > 30 ? content.substring(0, 30) + '...' : content;
     }
-    return 'New Chat';
+    return t('chat.newChat');
   };
 
   // Switch to existing session
@@ -108,6 +383,12 @@ export const ChatProvider = ({ children }) => {
       [botType]: prev[botType].filter(session => session.id !== sessionId)
     }));
 
+    enqueueSync(sessionId, async () => {
+      await offlineStore.markDeleted(principal, botType, sessionId);
+      await actor.deleteSession(sessionId);
+      await offlineStore.removeRecord(principal, sessionId);
+    });
+
     // If deleting current session, switch to most recent or create new
     if (currentSessionId[botType] === sessionId) {
       const remainingSessions = chatSessions[botType].filter(session => session.id !== sessionId);
@@ -125,18 +406,169 @@ export const ChatProvider = ({ children }) => {
     }
   };
 
-  // Get all sessions for a bot type
+  // Get all sessions for a bot type, pinned ones first
   const getSessions = (botType) => {
-    return chatSessions[botType].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    return [...chatSessions[botType]].sort(compareSessions);
+  };
+
+  // Sessions of every advisor as { botType, session } entries
+  const getAllSessions = () => {
+    return advisorIds.flatMap(botType => chatSessions[botType].map(session => ({ botType, session })));
+  };
+
+  // Start a new session holding a copy of the given messages, e.g. from a
+  // shared conversation, and open it. Returns the new session's id.
+  const createSessionFrom = (botType, { language: sessionLanguage, messages }) => {
+    const session = {
+      id: generateSessionId(),
+      title: generateSessionTitle(messages),
+      language: sessionLanguage,
+      messages,
+      customTitle: false,
+      pinned: false,
+      tags: [],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    setChatSessions(prev => ({
+      ...prev,
+      [botType]: [...prev[botType], session]
+    }));
+    setCurrentSessionId(prev => ({
+      ...prev,
+      [botType]: session.id
+    }));
+    persistSession(botType, session);
+    return session.id;
+  };
+
+  // Publish a read-only snapshot of a session; resolves to the share link id
+  const shareSession = async (sessionId) => {
+    // Let pending saves reach the backend first, since it snapshots its own copy
+    await syncChainsRef.current[sessionId];
+    return actor.shareSession(sessionId);
+  };
+
+  // Add sessions read from an export file. Sessions that are already here, or
+  // whose advisor no longer exists, are skipped. Returns { imported, skipped }.
+  const importSessions = (entries) => {
+    const seen = new Set(getAllSessions().map(({ session }) => session.id));
+    const added = entries.filter(({ botType, session }) => {
+      if (!advisorIds.includes(botType) || seen.has(session.id)) return false;
+      seen.add(session.id);
+      return true;
+    });
+
+    setChatSessions(prev => {
+      const next = { ...prev };
+      added.forEach(({ botType, session }) => {
+        next[botType] = [...next[botType], session];
+      });
+      return next;
+    });
+    added.forEach(({ botType, session }) => persistSession(botType, session));
+    return { imported: added.length, skipped: entries.length - added.length };
+  };
+
+  // Every tag in use, for the history filters
+  const getAllTags = () => {
+    return [...new Set(advisorIds.flatMap(botType => chatSessions[botType].flatMap(session => session.tags)))].sort();
+  };
+
+  // Answer the queued questions of a session in order. A question that fails
+  // for good holds back the ones after it until the user retries or edits it.
+  // Returns false if the backend still cannot be reached.
+  const answerQueued = async (botType, sessionId) => {
+    for (;;) {
+      const session = sessionsRef.current[botType].find(s => s.id === sessionId);
+      const index = session ? session.messages.findIndex(isUnsent) : -1;
+      if (index < 0 || session.messages[index].user.failed) return true;
+
+      const { pending, ...question } = session.messages[index].user;
+      // History starts after the welcome message
+      const history = session.messages.slice(1, index).filter(msg => !isUnsent(msg));
+      let reply = null;
+      let failure = null;
+      try {
+        reply = await streamChat(actor, {
+          advisorId: botType,
+          language: session.language ?? language,
+          sessionId: [sessionId],
+          messages: [...history, { user: question }]
+        });
+      } catch (err) {
+        if (err.isTransient) return false;
+        failure = { kind: err.kind ?? 'unknown', retryAfterSeconds: err.retryAfterSeconds, maxChars: err.maxChars, maxMessages: err.maxMessages };
+      }
+
+      // The session may have changed while waiting, so find the question again
+      const latest = sessionsRef.current[botType].find(s => s.id === sessionId);
+      if (!latest) return true;
+      const at = latest.messages.findIndex(msg => msg.user?.pending);
+      const answered = failure
+        ? [{ user: { ...question, failed: failure } }]
+        : [
+          { user: question },
+          ...(reply.text ? [{ system: { content: reply.text, timestamp: new Date(), citations: reply.citations, promptVersion: reply.promptVersion } }] : [])
+        ];
+      const messages = [...latest.messages.slice(0, at), ...answered, ...latest.messages.slice(at + 1)];
+      updateSession(botType, sessionId, messages, failure || reply.cancelled ? {} : { summarizedCount: reply.summarizedCount });
+      // Let the update render so sessionsRef holds it before the next question
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
   };
 
+  const sendQueuedQuestions = async () => {
+    if (queueBusyRef.current || !navigator.onLine) return;
+    queueBusyRef.current = true;
+    setIsSendingQueue(true);
+    try {
+      for (const botType of advisorIds) {
+        for (const { id } of sessionsRef.current[botType]) {
+          if (!await answerQueued(botType, id)) return;
+        }
+      }
+    } finally {
+      queueBusyRef.current = false;
+      setIsSendingQueue(false);
+    }
+  };
+
+  // Push offline changes once sessions are loaded and whenever the connection returns
+  useEffect(() => {
+    if (isLoaded && isOnline) syncSessions().catch(console.error);
+  }, [isLoaded, isOnline]);
+
+  const hasQueued = advisorIds.some(botType => chatSessions[botType].some(session => session.messages.some(msg => msg.user?.pending)));
+
+  // Send queued questions when there are any and the browser is online, retrying
+  // periodically in case the backend itself was unreachable
+  useEffect(() => {
+    if (!isLoaded || !isOnline || !hasQueued) return;
+    sendQueuedQuestions();
+    const timer = setInterval(sendQueuedQuestions, QUEUE_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [isLoaded, isOnline, hasQueued]);
+
   const value = {
+    isLoaded,
+    isSendingQueue,
     createNewSession,
     getCurrentSession,
     updateSession,
     switchToSession,
     deleteSession,
+    renameSession,
+    setSessionPinned,
+    setSessionTags,
+    setSessionLanguage,
     getSessions,
+    getAllSessions,
+    getAllTags,
+    importSessions,
+    createSessionFrom,
+    shareSession,
     currentSessionId
   };
 
@@ -147,40 +579,333 @@ export const ChatProvider = ({ children }) => {
   );
 };
 
-// Chat History Sidebar Component
-export const ChatHistory = ({ botType, isOpen, onClose }) => {
-  const { getSessions, switchToSession, deleteSession, createNewSession, currentSessionId } = useChatContext();
-  const sessions = getSessions(botType);
+// Text with the matches of a search query highlighted
+const Highlighted = ({ text, query }) => (
+  <>
+    {splitMatches(text, query).map((part, i) => part.match
+      ? <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">{part.text}</mark>
+      : <React.Fragment key={i}>{part.text}</React.Fragment>)}
+  </>
+);
+
+const iconButtonClass = 'p-1 text-gray-400 hover:text-gray-700 transition-all duration-200';
+
+const EXPORT_FORMATS = ['pdf', 'markdown', 'json'];
+
+// Download the branch of a session on screen as a PDF or Markdown file, or the
+// whole session with its branches as JSON
+const exportSession = (format, botType, session, { t, localize, locale }) => {
+  const advisor = getAdvisor(botType);
+  const copy = localize(advisor.copy);
+  const formatDate = (date) => new Date(date).toLocaleString(locale);
+
+  if (format === 'json') {
+    downloadJson(session.title, toArchive([{ botType, session }]));
+  } else if (format === 'markdown') {
+    const labels = { advisorName: copy.name, you: t('history.you'), exported: t('history.exported'), sources: t('chat.sources'), disclaimer: copy.disclaimer };
+    downloadMarkdown(session.title, toMarkdown(session, labels, locale));
+  } else {
+    downloadConversationPdf({
+      title: session.title,
+      advisorName: `${copy.name} · ${copy.tagline}`,
+      brandColor: advisor.brandColor,
+      subtitle: `${t('history.exported')} ${formatDate(new Date())}`,
+      messages: session.messages.filter(msg => !isUnsent(msg)).map(msg => {
+        const isUser = 'user' in msg;
+        const message = isUser ? msg.user : msg.system;
+        const timestamp = message.timestamp ?? msg.timestamp;
+        return {
+          speaker: isUser ? t('history.you') : copy.name,
+          isUser,
+          time: timestamp ? formatDate(timestamp) : null,
+          content: message.content,
+          sources: (isUser ? [] : message.citations ?? []).map(citation =>
+            [citation.source, citation.section, citation.title].filter(Boolean).join(', ') + (citation.url ? ` (${citation.url})` : ''))
+        };
+      }),
+      sourcesLabel: t('chat.sources'),
+      disclaimer: copy.disclaimer
+    });
+  }
+};
+
+// One session in the history list, with rename, pin, tag and delete actions
+const SessionItem = ({ botType, session, snippet, query, isCurrent, showAdvisor, formatDate, onOpen, onTagClick }) => {
+  const { deleteSession, renameSession, setSessionPinned, setSessionTags, shareSession } = useChatContext();
+  const i18n = useI18n();
+  const { t, localize } = i18n;
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  // Share link state: { isBusy }, { url } or { error }
+  const [share, setShare] = useState(null);
+  const [title, setTitle] = useState('');
+  const [isTagging, setIsTagging] = useState(false);
+  const [newTag, setNewTag] = useState('');
+  const advisor = getAdvisor(botType);
+
+  const stop = (handler) => (e) => {
+    e.stopPropagation();
+    handler(e);
+  };
+
+  const startRename = () => {
+    setTitle(session.customTitle ? session.title : '');
+    setIsRenaming(true);
+  };
+
+  const finishRename = () => {
+    if (!isRenaming) return;
+    setIsRenaming(false);
+    renameSession(botType, session.id, title);
+  };
+
+  const addTag = () => {
+    const tag = normalizeTag(newTag);
+    if (tag) setSessionTags(botType, session.id, [...session.tags, tag]);
+    setNewTag('');
+  };
+
+  const handleShare = async () => {
+    setShare({ isBusy: true });
+    try {
+      setShare({ url: shareUrl(await shareSession(session.id)) });
+    } catch (err) {
+      console.error(err);
+      setShare({ error: true });
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('history.confirmDelete'))) {
+      deleteSession(botType, session.id);
+    }
+  };
+
+  return (
+    <div
+      onClick={() => !isRenaming && onOpen()}
+      className={`group relative p-3 rounded-lg cursor-pointer transition-all duration-200 hover:bg-gray-50 hover:shadow-md ${
+        isCurrent ? 'bg-blue-50 border-2 border-blue-200' : 'border border-gray-200'
+      }`}
+    >
+      <div className="flex items-start justify-between">
+        <div className="flex-1 min-w-0">
+          {isRenaming ? (
+            <input
+              autoFocus
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={finishRename}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') finishRename();
+                if (e.key === 'Escape') setIsRenaming(false);
+              }}
+              placeholder={t('history.renamePlaceholder')}
+              className="w-full mb-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+          ) : (
+            <h3 className="font-medium text-gray-900 truncate mb-1">
+              {session.pinned && <span className="mr-1" title={t('history.pinned')}>📌</span>}
+              <Highlighted text={session.title} query={query} />
+            </h3>
+          )}
+          <div className="flex items-center text-xs text-gray-500 space-x-2">
+            {showAdvisor && advisor && (
+              <>
+                <span>{advisor.icon} {localize(advisor.copy).name}</span>
+                <span>·</span>
+              </>
+            )}
+            <span>{formatDate(session.updatedAt)}</span>
+            <span>·</span>
+            <span>{t('history.messages', { count: session.messages.length })}</span>
+          </div>
+          {isExporting && (
+            <div className="flex items-center gap-1 mt-2 text-xs">
+              <span className="text-gray-500">{t('history.exportAs')}</span>
+              {EXPORT_FORMATS.map(format => (
+                <button
+                  key={format}
+                  onClick={stop(() => {
+                    setIsExporting(false);
+                    exportSession(format, botType, session, i18n);
+                  })}
+                  className="px-2 py-0.5 rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+                >
+                  {t(`history.formats.${format}`)}
+                </button>
+              ))}
+            </div>
+          )}
+          {share && (
+            <div className="mt-2 text-xs space-y-1" onClick={(e) => e.stopPropagation()}>
+              {share.isBusy && <p className="text-gray-500">{t('share.creating')}</p>}
+              {share.error && <p className="text-red-600">{t('share.error')}</p>}
+              {share.url && (
+                <>
+                  <div className="flex items-center space-x-2">
+                    <input readOnly value={share.url} onFocus={(e) => e.target.select()} className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded bg-gray-50 text-gray-700" />
+                    <CopyButton text={share.url} />
+                  </div>
+                  <p className="text-gray-500">{t('share.snapshotHint')}</p>
+                </>
+              )}
+            </div>
+          )}
+          {snippet && (
+            <p className="mt-1 text-xs text-gray-600 line-clamp-2">
+              <Highlighted text={snippet} query={query} />
+            </p>
+          )}
+          {(session.tags.length > 0 || isTagging) && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {session.tags.map(tag => (
+                <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded-full bg-green-50 text-green-800 text-xs">
+                  <button onClick={stop(() => onTagClick(tag))} title={t('history.filterByTag')}>{tag}</button>
+                  {isTagging && (
+                    <button
+                      onClick={stop(() => setSessionTags(botType, session.id, session.tags.filter(other => other !== tag)))}
+                      className="ml-1 text-green-600 hover:text-red-600"
+                      title={t('history.removeTag')}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              ))}
+              {isTagging && (
+                <input
+                  autoFocus
+                  value={newTag}
+                  maxLength={MAX_TAG_CHARS}
+                  onChange={(e) => setNewTag(e.target.value)}
+                  onClick={(e) => e.stopPropagation()}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') addTag();
+                    if (e.key === 'Escape') setIsTagging(false);
+                  }}
+                  onBlur={() => {
+                    addTag();
+                    setIsTagging(false);
+                  }}
+                  placeholder={t('history.addTag')}
+                  className="w-28 px-2 py-0.5 text-xs border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-green-400"
+                />
+              )}
+            </div>
+          )}
+        </div>
+        <div className="flex items-center opacity-0 group-hover:opacity-100 transition-all duration-200">
+          <button onClick={stop(() => setSessionPinned(botType, session.id, !session.pinned))} className={iconButtonClass} title={session.pinned ? t('history.unpin') : t('history.pin')}>
+            <svg className="w-4 h-4" fill={session.pinned ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+            </svg>
+          </button>
+          <button onClick={stop(startRename)} className={iconButtonClass} title={t('history.rename')}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+            </svg>
+          </button>
+          <button onClick={stop(() => setIsTagging(true))} className={iconButtonClass} title={t('history.editTags')}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+            </svg>
+          </button>
+          <button onClick={stop(handleShare)} disabled={share?.isBusy} className={iconButtonClass} title={t('share.share')}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+            </svg>
+          </button>
+          <button onClick={stop(() => setIsExporting(open => !open))} className={iconButtonClass} title={t('history.export')}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+            </svg>
+          </button>
+          <button onClick={stop(handleDelete)} className="p-1 text-gray-400 hover:text-red-500 transition-all duration-200" title={t('history.delete')}>
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const noFilters = { tags: [], from: '', to: '' };
+
+// Chat History Sidebar Component. Searches the open advisor's sessions, or
+// every advisor's when "All advisors" is ticked; opening a session of another
+// advisor switches to it through onOpenAdvisor.
+export const ChatHistory = ({ botType, isOpen, onClose, onOpenAdvisor }) => {
+  const { getAllSessions, getAllTags, importSessions, switchToSession, createNewSession, currentSessionId } = useChatContext();
+  const { t, locale } = useI18n();
+  const [importMessage, setImportMessage] = useState(null);
+  const [showSharedLinks, setShowSharedLinks] = useState(false);
+  const [query, setQuery] = useState('');
+  const [allAdvisors, setAllAdvisors] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [filters, setFilters] = useState(noFilters);
+
+  const entries = getAllSessions().filter(entry => allAdvisors || entry.botType === botType);
+  const results = searchSessions(entries, { query, ...filters })
+    .sort((a, b) => compareSessions(a.session, b.session));
+  const allTags = getAllTags();
+  const filterCount = filters.tags.length + (filters.from ? 1 : 0) + (filters.to ? 1 : 0);
+  const isSearching = query.trim() !== '' || filterCount > 0;
 
   const handleNewChat = () => {
     createNewSession(botType);
     onClose();
   };
 
-  const handleSessionClick = (sessionId) => {
-    switchToSession(botType, sessionId);
+  const handleSessionClick = (sessionBotType, sessionId) => {
+    switchToSession(sessionBotType, sessionId);
+    if (sessionBotType !== botType && onOpenAdvisor) onOpenAdvisor(sessionBotType);
     onClose();
   };
 
-  const handleDeleteSession = (sessionId, e) => {
-    e.stopPropagation();
-    if (window.confirm('Are you sure you want to delete this chat session?')) {
-      deleteSession(botType, sessionId);
+  // Download every session of every advisor as one JSON file
+  const handleExportAll = () => {
+    downloadJson(`chat-sessions-${new Date().toISOString().slice(0, 10)}`, toArchive(getAllSessions()));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { entries, invalid } = parseArchive(await file.text());
+      const { imported, skipped } = importSessions(entries);
+      setImportMessage({ error: false, text: t('history.imported', { imported, skipped: skipped + invalid }) });
+    } catch (err) {
+      console.error(err);
+      setImportMessage({ error: true, text: t('history.importError', { reason: err.message }) });
     }
   };
 
+  const toggleTag = (tag) => {
+    setFilters(current => ({
+      ...current,
+      tags: current.tags.includes(tag) ? current.tags.filter(other => other !== tag) : [...current.tags, tag]
+    }));
+  };
+
   const formatDate = (date) => {
     const now = new Date();
     const chatDate = new Date(date);
     const diffTime = Math.abs(now - chatDate);
     const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
-    if (diffDays === 1) return 'Today';
-    if (diffDays === 2) return 'Yesterday';
-    if (diffDays <= 7) return `${diffDays - 1} days ago`;
-    return chatDate.toLocaleDateString();
+    if (diffDays === 1) return t('history.today');
+    if (diffDays === 2) return t('history.yesterday');
+    if (diffDays <= 7) return t('history.daysAgo', { count: diffDays - 1 });
+    return chatDate.toLocaleDateString(locale);
   };
 
+  const fieldClass = 'px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent';
+
   return (
     <div className={`fixed inset-y-0 left-0 z-50 w-80 bg-white shadow-2xl transform transition-transform duration-300 ${
       isOpen ? 'translate-x-0' : '-translate-x-full'
@@ -188,7 +913,7 @@ export const ChatHistory = ({ botType, isOpen, onClose }) => {
       <div className="flex flex-col h-full">
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b bg-gradient-to-r from-green-600 to-blue-600 text-white">
-          <h2 className="text-lg font-semibold">Chat History</h2>
+          <h2 className="text-lg font-semibold">{t('chat.history')}</h2>
           <button
             onClick={onClose}
             className="p-2 hover:bg-white/20 rounded-lg transition-colors"
@@ -208,53 +933,118 @@ export const ChatHistory = ({ botType, isOpen, onClose }) => {
             <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
             </svg>
-            <span className="font-medium">New Chat</span>
+            <span className="font-medium">{t('chat.newChat')}</span>
           </button>
         </div>
 
+        {/* Search and Filters */}
+        <div className="p-4 border-b space-y-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('history.searchPlaceholder')}
+            className={`w-full ${fieldClass}`}
+          />
+          <div className="flex items-center justify-between text-xs text-gray-600">
+            <label className="flex items-center space-x-1 cursor-pointer">
+              <input type="checkbox" checked={allAdvisors} onChange={(e) => setAllAdvisors(e.target.checked)} />
+              <span>{t('history.allAdvisors')}</span>
+            </label>
+            <button onClick={() => setShowFilters(open => !open)} className="font-medium hover:text-gray-900">
+              {filterCount > 0 ? t('history.filtersActive', { count: filterCount }) : t('history.filters')}
+            </button>
+          </div>
+          {showFilters && (
+            <div className="space-y-2 text-xs text-gray-600">
+              <div className="flex items-center space-x-2">
+                <label className="flex flex-col flex-1">
+                  <span>{t('history.from')}</span>
+                  <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilters({ ...filters, from: e.target.value })} className={fieldClass} />
+                </label>
+                <label className="flex flex-col flex-1">
+                  <span>{t('history.to')}</span>
+                  <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilters({ ...filters, to: e.target.value })} className={fieldClass} />
+                </label>
+              </div>
+              {allTags.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {allTags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => toggleTag(tag)}
+                      className={`px-2 py-0.5 rounded-full border transition-colors ${
+                        filters.tags.includes(tag) ? 'bg-green-600 border-green-600 text-white' : 'border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {filterCount > 0 && (
+                <button onClick={() => setFilters(noFilters)} className="underline hover:text-gray-900">
+                  {t('history.clearFilters')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
         {/* Sessions List */}
         <div className="flex-1 overflow-y-auto p-4 space-y-2">
-          {sessions.length === 0 ? (
-            <div className="text-center text-gray-500 py-8">
-              <svg className="w-12 h-12 mx-auto mb-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
-              </svg>
-              <p>No chat sessions yet</p>
-              <p className="text-sm">Start a new conversation!</p>
-            </div>
+          {results.length === 0 ? (
+            isSearching ? (
+              <p className="text-center text-sm text-gray-500 py-8">{t('history.noMatches')}</p>
+            ) : (
+              <div className="text-center text-gray-500 py-8">
+                <svg className="w-12 h-12 mx-auto mb-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+                </svg>
+                <p>{t('history.empty')}</p>
+                <p className="text-sm">{t('history.emptyHint')}</p>
+              </div>
+            )
           ) : (
-            sessions.map((session) => (
-              <div
+            results.map(({ botType: sessionBotType, session, snippet }) => (
+              <SessionItem
                 key={session.id}
-                onClick={() => handleSessionClick(session.id)}
-                className={`group relative p-3 rounded-lg cursor-pointer transition-all duration-200 hover:bg-gray-50 hover:shadow-md ${
-                  currentSessionId[botType] === session.id ? 'bg-blue-50 border-2 border-blue-200' : 'border border-gray-200'
-                }`}
-              >
-                <div className="flex items-start justify-between">
-                  <div className="flex-1 min-w-0">
-                    <h3 className="font-medium text-gray-900 truncate mb-1">
-                      {session.title}
-                    </h3>
-                    <div className="flex items-center text-xs text-gray-500 space-x-2">
-                      <span>{formatDate(session.updatedAt)}</span>
-                      <span>·</span>
-                      <span>{session.messages.length} messages</span>
-                    </div>
-                  </div>
-                  <button
-                    onClick={(e) => handleDeleteSession(session.id, e)}
-                    className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-500 transition-all duration-200"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
-                </div>
-              </div>
+                botType={sessionBotType}
+                session={session}
+                snippet={snippet}
+                query={query}
+                isCurrent={currentSessionId[sessionBotType] === session.id}
+                showAdvisor={allAdvisors}
+                formatDate={formatDate}
+                onOpen={() => handleSessionClick(sessionBotType, session.id)}
+                onTagClick={(tag) => {
+                  setShowFilters(true);
+                  if (!filters.tags.includes(tag)) toggleTag(tag);
+                }}
+              />
             ))
           )}
         </div>
+
+        {/* Export and Import */}
+        <div className="p-4 border-t space-y-2 text-sm">
+          <div className="flex items-center justify-between">
+            <button onClick={handleExportAll} className="font-medium text-gray-600 hover:text-gray-900">
+              {t('history.exportAll')}
+            </button>
+            <label className="font-medium text-gray-600 hover:text-gray-900 cursor-pointer">
+              {t('history.import')}
+              <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+            </label>
+          </div>
+          {importMessage && (
+            <p className={`text-xs ${importMessage.error ? 'text-red-600' : 'text-green-700'}`}>{importMessage.text}</p>
+          )}
+          <button onClick={() => setShowSharedLinks(open => !open)} className="font-medium text-gray-600 hover:text-gray-900">
+            {t('share.manage')}
+          </button>
+          {showSharedLinks && <SharedLinksList />}
+        </div>
       </div>
     </div>
   );
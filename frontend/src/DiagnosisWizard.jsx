@@ -0,0 +1,404 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+import { affectedParts, symptoms, growthStages, weatherConditions } from './diagnosis';
+
+const steps = ['subject', 'part', 'symptoms', 'conditions', 'review'];
+
+const emptyAnswers = {
+  subjectKind: 'crop',
+  subject: '',
+  affectedPart: '',
+  symptoms: [],
+  otherSymptoms: '',
+  growthStage: '',
+  recentWeather: '',
+  notes: ''
+};
+
+// Build the backend DiagnosisRequest from the wizard answers
+const toRequest = (answers, language) => ({
+  subjectKind: { [answers.subjectKind]: null },
+  subject: answers.subject.trim(),
+  affectedPart: answers.affectedPart,
+  symptoms: [...answers.symptoms, answers.otherSymptoms.trim()].filter(Boolean),
+  growthStage: answers.growthStage,
+  recentWeather: answers.recentWeather,
+  notes: answers.notes.trim(),
+  language
+});
+
+// Write a diagnosis as a question and reply pair of chat messages
+export const diagnosisMessages = (request, diagnosis, t) => {
+  const details = [
+    `${request.subject}${request.affectedPart ? ` (${request.affectedPart})` : ''}`,
+    request.symptoms.join(', '),
+    request.growthStage && `${t('diagnosis.growthStage')}: ${request.growthStage}`,
+    request.recentWeather && `${t('diagnosis.weather')}: ${request.recentWeather}`
+  ].filter(Boolean);
+
+  const causes = diagnosis.causes.map((cause, i) =>
+    `${i + 1}. **${cause.name}** (${Number(cause.confidence)}%) - ${cause.reasoning}`
+  );
+  const treatments = diagnosis.treatments.map(treatment =>
+    `- ${treatment.action}${treatment.productClass ? ` *(${treatment.productClass})*` : ''}`
+  );
+  const reply = [
+    `### ${t('diagnosis.likelyCauses')}`, causes.join('\n'),
+    `### ${t('diagnosis.treatments')}`, treatments.join('\n'),
+    `### ${t('diagnosis.extension')}`, diagnosis.whenToCallExtensionOfficer
+  ].filter(Boolean).join('\n\n');
+
+  return [
+    { user: { content: `🩺 ${t('diagnosis.requestPrefix')}: ${details.join('. ')}`, timestamp: new Date() } },
+    { system: { content: reply, timestamp: new Date(), citations: [] } }
+  ];
+};
+
+// Result card with ranked causes, treatments and when to get expert help
+export const DiagnosisCard = ({ diagnosis }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="font-semibold text-gray-800 mb-2">{t('diagnosis.likelyCauses')}</h3>
+        <ol className="space-y-2">
+          {diagnosis.causes.map((cause, i) => (
+            <li key={i} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-800">{i + 1}. {cause.name}</span>
+                <span className="text-sm text-gray-600">{t('diagnosis.confidence', { percent: Number(cause.confidence) })}</span>
+              </div>
+              <div className="mt-1 h-2 rounded bg-gray-200">
+                <div className="h-2 rounded bg-green-500" style={{ width: `${Number(cause.confidence)}%` }}></div>
+              </div>
+              <p className="mt-2 text-sm text-gray-600">{cause.reasoning}</p>
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {diagnosis.treatments.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-800 mb-2">{t('diagnosis.treatments')}</h3>
+          <ul className="space-y-2">
+            {diagnosis.treatments.map((treatment, i) => (
+              <li key={i} className="text-sm text-gray-700">
+                <span>{treatment.action}</span>
+                {treatment.productClass && (
+                  <span className="ml-2 inline-block px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs">{treatment.productClass}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {diagnosis.whenToCallExtensionOfficer && (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900">
+          <span className="font-semibold">{t('diagnosis.extension')}: </span>
+          {diagnosis.whenToCallExtensionOfficer}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">{t('diagnosis.disclaimer')}</p>
+    </div>
+  );
+};
+
+// Option buttons for a single choice, or a checklist when `multiple` is set
+const Choices = ({ options, selected, onToggle, multiple = false }) => {
+  const { localize } = useI18n();
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+      {options.map(option => {
+        const isSelected = multiple ? selected.includes(option.en) : selected === option.en;
+        return (
+          <button
+            key={option.en}
+            type="button"
+            onClick={() => onToggle(option.en)}
+            className={`px-3 py-2 rounded-lg border text-sm text-left transition-colors ${
+              isSelected ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-green-50'
+            }`}
+          >
+            {multiple && <span className="mr-2">{isSelected ? '☑' : '☐'}</span>}
+            {localize(option)}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Step-by-step symptom wizard that asks the backend for a diagnosis
+export const DiagnosisWizard = ({ onAddToChat, onClose }) => {
+  const backend = useBackend();
+  const { t, language } = useI18n();
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState(emptyAnswers);
+  const [photoUrl, setPhotoUrl] = useState(null);
+  const [suggestions, setSuggestions] = useState({ crop: [], livestock: [] });
+  const [result, setResult] = useState(null);
+  const [isDiagnosing, setIsDiagnosing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Suggest the crops and livestock from the farmer profile
+  useEffect(() => {
+    backend.getFarmerProfile()
+      .then(([profile]) => {
+        if (profile) setSuggestions({ crop: profile.crops, livestock: profile.livestock });
+      })
+      .catch(console.error);
+  }, [backend]);
+
+  useEffect(() => () => {
+    if (photoUrl) URL.revokeObjectURL(photoUrl);
+  }, [photoUrl]);
+
+  const kind = answers.subjectKind;
+  const setAnswer = (field, value) => setAnswers(prev => ({ ...prev, [field]: value }));
+  const toggleSymptom = (symptom) => setAnswers(prev => ({
+    ...prev,
+    symptoms: prev.symptoms.includes(symptom) ? prev.symptoms.filter(s => s !== symptom) : [...prev.symptoms, symptom]
+  }));
+  const chooseKind = (subjectKind) => setAnswers({ ...emptyAnswers, subjectKind });
+
+  const canContinue = {
+    subject: answers.subject.trim() !== '',
+    part: true,
+    symptoms: answers.symptoms.length > 0 || answers.otherSymptoms.trim() !== '',
+    conditions: true,
+    review: true
+  }[steps[step]];
+
+  const handleDiagnose = async () => {
+    setIsDiagnosing(true);
+    setError(null);
+    const request = toRequest(answers, language);
+    try {
+      setResult({ request, diagnosis: await backend.diagnose(request) });
+    } catch (err) {
+      console.error(err);
+      setError(t('diagnosis.error'));
+    } finally {
+      setIsDiagnosing(false);
+    }
+  };
+
+  const handleStartOver = () => {
+    setResult(null);
+    setAnswers(emptyAnswers);
+    setPhotoUrl(null);
+    setStep(0);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-2xl bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="flex items-start justify-between p-5 border-b bg-gradient-to-r from-green-600 to-green-700 text-white">
+          <div>
+            <h2 className="text-lg font-semibold">{t('diagnosis.title')}</h2>
+            <p className="text-sm text-white/80">
+              {result ? t('diagnosis.resultIntro') : t('diagnosis.step', { step: step + 1, total: steps.length })}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-white/20 transition-colors" title={t('calendar.close')}>
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4 max-h-[65vh] overflow-y-auto">
+          {result ? (
+            <>
+              {photoUrl && <img src={photoUrl} alt="" className="max-h-48 rounded-lg border border-gray-200" />}
+              <DiagnosisCard diagnosis={result.diagnosis} />
+            </>
+          ) : (
+            <>
+              {steps[step] === 'subject' && (
+                <>
+                  <div className="flex space-x-2">
+                    {['crop', 'livestock'].map(option => (
+                      <button
+                        key={option}
+                        type="button"
+                        onClick={() => chooseKind(option)}
+                        className={`flex-1 px-4 py-2 rounded-lg border transition-colors ${
+                          kind === option ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-green-50'
+                        }`}
+                      >
+                        {option === 'crop' ? '🌱' : '🐄'} {t(`diagnosis.${option}`)}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-1">{t(`diagnosis.${kind}Name`)}</span>
+                    <input
+                      type="text"
+                      list="diagnosis-subjects"
+                      value={answers.subject}
+                      onChange={(e) => setAnswer('subject', e.target.value)}
+                      placeholder={t(`diagnosis.${kind}Hint`)}
+                      className={inputClass}
+                    />
+                    <datalist id="diagnosis-subjects">
+                      {suggestions[kind].map(name => <option key={name} value={name} />)}
+                    </datalist>
+                  </label>
+                </>
+              )}
+
+              {steps[step] === 'part' && (
+                <>
+                  <p className="text-sm font-medium text-gray-700">{t('diagnosis.partQuestion')}</p>
+                  <Choices
+                    options={affectedParts[kind]}
+                    selected={answers.affectedPart}
+                    onToggle={(part) => setAnswer('affectedPart', answers.affectedPart === part ? '' : part)}
+                  />
+                </>
+              )}
+
+              {steps[step] === 'symptoms' && (
+                <>
+                  <p className="text-sm font-medium text-gray-700">{t('diagnosis.symptomsQuestion')}</p>
+                  <Choices options={symptoms[kind]} selected={answers.symptoms} onToggle={toggleSymptom} multiple />
+                  <input
+                    type="text"
+                    value={answers.otherSymptoms}
+                    onChange={(e) => setAnswer('otherSymptoms', e.target.value)}
+                    placeholder={t('diagnosis.otherSymptoms')}
+                    className={inputClass}
+                  />
+                </>
+              )}
+
+              {steps[step] === 'conditions' && (
+                <>
+                  <p className="text-sm font-medium text-gray-700">{t(`diagnosis.${kind}Stage`)}</p>
+                  <Choices
+                    options={growthStages[kind]}
+                    selected={answers.growthStage}
+                    onToggle={(stage) => setAnswer('growthStage', answers.growthStage === stage ? '' : stage)}
+                  />
+                  <p className="text-sm font-medium text-gray-700">{t('diagnosis.weatherQuestion')}</p>
+                  <Choices
+                    options={weatherConditions}
+                    selected={answers.recentWeather}
+                    onToggle={(weather) => setAnswer('recentWeather', answers.recentWeather === weather ? '' : weather)}
+                  />
+                </>
+              )}
+
+              {steps[step] === 'review' && (
+                <>
+                  <label className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-1">{t('diagnosis.notes')}</span>
+                    <textarea
+                      rows="3"
+                      value={answers.notes}
+                      onChange={(e) => setAnswer('notes', e.target.value)}
+                      placeholder={t('diagnosis.notesHint')}
+                      className={inputClass}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="block text-sm font-medium text-gray-700 mb-1">{t('diagnosis.photo')}</span>
+                    <input
+                      type="file"
+                      accept="image/*"
+                      capture="environment"
+                      onChange={(e) => setPhotoUrl(e.target.files[0] ? URL.createObjectURL(e.target.files[0]) : null)}
+                      className="text-sm"
+                    />
+                    <span className="block mt-1 text-xs text-gray-500">{t('diagnosis.photoHint')}</span>
+                  </label>
+                  {photoUrl && <img src={photoUrl} alt="" className="max-h-48 rounded-lg border border-gray-200" />}
+                  {error && <p className="text-sm text-red-600">{error}</p>}
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-between space-x-3 p-4 border-t bg-gray-50">
+          {result ? (
+            <>
+              <button onClick={handleStartOver} className="px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-200 transition-colors">
+                {t('diagnosis.startOver')}
+              </button>
+              <button
+                onClick={() => onAddToChat(diagnosisMessages(result.request, result.diagnosis, t))}
+                className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 transition-colors shadow-md"
+              >
+                {t('diagnosis.addToChat')}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => (step === 0 ? onClose() : setStep(step - 1))}
+                className="px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-200 transition-colors"
+              >
+                {step === 0 ? t('profile.cancel') : t('diagnosis.back')}
+              </button>
+              {step < steps.length - 1 ? (
+                <button
+                  onClick={() => setStep(step + 1)}
+                  disabled={!canContinue}
+                  className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 transition-colors shadow-md"
+                >
+                  {t('diagnosis.next')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleDiagnose}
+                  disabled={isDiagnosing}
+                  className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 transition-colors shadow-md"
+                >
+                  {isDiagnosing ? t('diagnosis.diagnosing') : t('diagnosis.diagnose')}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Header button that opens the diagnosis wizard
+export const DiagnosisButton = ({ onAddToChat, disabled }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        disabled={disabled}
+        className="flex items-center space-x-1 px-3 py-1 rounded-full bg-white border border-green-200 text-green-700 text-sm hover:bg-green-50 disabled:opacity-50 transition-colors shadow-sm"
+      >
+        <span>🩺</span>
+        <span>{t('diagnosis.open')}</span>
+      </button>
+
+      {isOpen && (
+        <DiagnosisWizard
+          onAddToChat={(messages) => {
+            onAddToChat(messages);
+            setIsOpen(false);
+          }}
+          onClose={() => setIsOpen(false)}
+        />
+      )}
+    </>
+  );
+};
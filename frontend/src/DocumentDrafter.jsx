@@ -0,0 +1,315 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+import MessageContent from './MessageContent';
+import { documentTemplates, getDocumentTemplate } from './documentTemplates';
+import { downloadDocx, downloadPdf } from './exportDocument';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Form values for a template, with date fields defaulting to today
+const initialValues = (template) => Object.fromEntries(
+  template.fields.map(field => [field.name, field.type === 'date' && field.name === 'date' ? today() : ''])
+);
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Form values as stored with a saved draft, keeping dates as YYYY-MM-DD so
+// the form can show them again
+const toSavedFields = (template, values) => template.fields.map(field => ({
+  name: field.name,
+  value: (values[field.name] ?? '').trim()
+}));
+
+// Format form values for drafting; dates are written out as in a legal document
+const toFields = (template, values) => toSavedFields(template, values).map(({ name, value }) => {
+  const isDate = template.fields.find(field => field.name === name).type === 'date' && isIsoDate(value);
+  return {
+    name,
+    value: isDate ? new Date(`${value}T00:00:00`).toLocaleDateString('en-KE', { day: 'numeric', month: 'long', year: 'numeric' }) : value
+  };
+});
+
+// Form value of a saved field. Older drafts stored dates written out, such
+// as "2 June 2025", which are read back as YYYY-MM-DD where possible.
+const fromSavedField = (template, { name, value }) => {
+  if (template?.fields.find(field => field.name === name)?.type !== 'date' || !value || isIsoDate(value)) return value;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Document drafting mode for LegalBot: pick a template, fill in its form,
+// let the backend draft it, then review, edit, save and download the result
+export const DocumentDrafter = ({ onClose }) => {
+  const backend = useBackend();
+  const { t, localize, locale } = useI18n();
+  const [view, setView] = useState('library');
+  const [templateId, setTemplateId] = useState(null);
+  const [values, setValues] = useState({});
+  const [draft, setDraft] = useState({ id: null, title: '', content: '' });
+  const [savedDrafts, setSavedDrafts] = useState([]);
+  const [isPreview, setIsPreview] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const template = templateId ? getDocumentTemplate(templateId) : null;
+
+  const loadDrafts = () => {
+    backend.listDrafts()
+      .then(drafts => setSavedDrafts([...drafts].sort((a, b) => Number(b.updatedAt - a.updatedAt))))
+      .catch(console.error);
+  };
+
+  useEffect(loadDrafts, [backend]);
+
+  const chooseTemplate = (id) => {
+    setTemplateId(id);
+    setValues(initialValues(getDocumentTemplate(id)));
+    setDraft({ id: null, title: localize(getDocumentTemplate(id).copy).name, content: '' });
+    setMessage(null);
+    setView('form');
+  };
+
+  const openDraft = (saved) => {
+    const savedTemplate = getDocumentTemplate(saved.templateId);
+    setTemplateId(saved.templateId);
+    setValues({
+      ...(savedTemplate ? initialValues(savedTemplate) : {}),
+      ...Object.fromEntries(saved.fields.map(field => [field.name, fromSavedField(savedTemplate, field)]))
+    });
+    setDraft({ id: Number(saved.id), title: saved.title, content: saved.content });
+    setMessage(null);
+    setIsPreview(true);
+    setView('editor');
+  };
+
+  const handleDelete = async (saved) => {
+    if (!window.confirm(t('drafting.confirmDelete'))) return;
+    try {
+      await backend.deleteDraft(saved.id);
+      loadDrafts();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      const content = await backend.draftDocument(templateId, toFields(template, values));
+      setDraft(prev => ({ ...prev, content }));
+      setIsPreview(true);
+      setView('editor');
+    } catch (err) {
+      console.error(err);
+      setMessage({ error: true, text: t('drafting.draftError') });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      const id = await backend.saveDraft(draft.id === null ? [] : [BigInt(draft.id)], {
+        templateId,
+        title: draft.title.trim() || localize(template.copy).name,
+        fields: toSavedFields(template, values),
+        content: draft.content
+      });
+      setDraft(prev => ({ ...prev, id: Number(id) }));
+      setMessage({ error: false, text: t('drafting.saved') });
+      loadDrafts();
+    } catch (err) {
+      console.error(err);
+      setMessage({ error: true, text: t('drafting.saveError') });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    try {
+      if (format === 'docx') {
+        await downloadDocx(draft.title, draft.content);
+      } else {
+        downloadPdf(draft.title, draft.content);
+      }
+    } catch (err) {
+      console.error(err);
+      setMessage({ error: true, text: t('drafting.downloadError') });
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const secondaryButton = 'px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-200 transition-colors';
+  const primaryButton = 'px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors shadow-md';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-4xl bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="flex items-start justify-between p-5 border-b bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+          <div>
+            <h2 className="text-lg font-semibold">{template && view !== 'library' ? localize(template.copy).name : t('drafting.title')}</h2>
+            <p className="text-sm text-white/80">{t(`drafting.${view}Intro`)}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-white/20 transition-colors" title={t('calendar.close')}>
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {view === 'library' && (
+          <div className="p-5 space-y-6 max-h-[70vh] overflow-y-auto">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {documentTemplates.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => chooseTemplate(option.id)}
+                  className="p-4 rounded-xl border border-gray-200 text-left hover:border-blue-400 hover:bg-blue-50 transition-colors"
+                >
+                  <div className="font-medium text-gray-800">{option.icon} {localize(option.copy).name}</div>
+                  <div className="text-sm text-gray-600">{localize(option.copy).description}</div>
+                </button>
+              ))}
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-2">{t('drafting.savedDrafts')}</h3>
+              {savedDrafts.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('drafting.noDrafts')}</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+                  {savedDrafts.map(saved => (
+                    <li key={saved.id} className="flex items-center justify-between px-4 py-3">
+                      <button onClick={() => openDraft(saved)} className="text-left flex-1">
+                        <div className="font-medium text-gray-800">{saved.title}</div>
+                        <div className="text-xs text-gray-500">
+                          {t('drafting.updated', { date: new Date(Number(saved.updatedAt / 1_000_000n)).toLocaleDateString(locale) })}
+                        </div>
+                      </button>
+                      <button onClick={() => handleDelete(saved)} className="p-2 rounded-lg text-red-500 hover:bg-red-50 transition-colors" title={t('drafting.delete')}>
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        {view === 'form' && template && (
+          <form onSubmit={handleGenerate}>
+            <div className="p-5 grid grid-cols-1 sm:grid-cols-2 gap-4 max-h-[60vh] overflow-y-auto">
+              {template.fields.map(field => (
+                <label key={field.name} className={`block ${field.type === 'textarea' ? 'sm:col-span-2' : ''}`}>
+                  <span className="block text-sm font-medium text-gray-700 mb-1">{localize(field.label)}</span>
+                  {field.type === 'textarea' ? (
+                    <textarea
+                      rows="4"
+                      value={values[field.name] ?? ''}
+                      onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.value }))}
+                      className={inputClass}
+                    />
+                  ) : (
+                    <input
+                      type={field.type}
+                      value={values[field.name] ?? ''}
+                      onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.value }))}
+                      className={inputClass}
+                    />
+                  )}
+                </label>
+              ))}
+              <p className="sm:col-span-2 text-xs text-gray-500">{t('drafting.blankHint')}</p>
+              {message && <p className="sm:col-span-2 text-sm text-red-600">{message.text}</p>}
+            </div>
+            <div className="flex justify-between p-4 border-t bg-gray-50">
+              <button type="button" onClick={() => setView(draft.content ? 'editor' : 'library')} className={secondaryButton}>
+                {t('diagnosis.back')}
+              </button>
+              <button type="submit" disabled={isBusy} className={primaryButton}>
+                {isBusy ? t('drafting.drafting') : t('drafting.generate')}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {view === 'editor' && (
+          <>
+            <div className="p-5 space-y-3 max-h-[60vh] overflow-y-auto">
+              <div className="flex items-center space-x-3">
+                <input
+                  type="text"
+                  value={draft.title}
+                  onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+                  className={inputClass}
+                  aria-label={t('drafting.documentTitle')}
+                />
+                <button onClick={() => setIsPreview(!isPreview)} className={`${secondaryButton} whitespace-nowrap border border-gray-300`}>
+                  {isPreview ? t('drafting.edit') : t('drafting.preview')}
+                </button>
+              </div>
+              {isPreview ? (
+                <div className="p-4 border border-gray-200 rounded-lg bg-gray-50">
+                  <MessageContent content={draft.content} />
+                </div>
+              ) : (
+                <textarea
+                  rows="18"
+                  value={draft.content}
+                  onChange={(e) => setDraft(prev => ({ ...prev, content: e.target.value }))}
+                  className={`${inputClass} font-mono text-sm`}
+                />
+              )}
+              <p className="text-xs text-gray-500">{t('drafting.disclaimer')}</p>
+              {message && <p className={`text-sm ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>}
+            </div>
+            <div className="flex flex-wrap justify-between gap-2 p-4 border-t bg-gray-50">
+              <div className="flex gap-2">
+                <button onClick={() => setView('library')} className={secondaryButton}>{t('drafting.library')}</button>
+                {template && <button onClick={() => setView('form')} className={secondaryButton}>{t('drafting.editDetails')}</button>}
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => handleDownload('docx')} className={`${secondaryButton} border border-gray-300`}>DOCX</button>
+                <button onClick={() => handleDownload('pdf')} className={`${secondaryButton} border border-gray-300`}>PDF</button>
+                <button onClick={handleSave} disabled={isBusy || !template} className={primaryButton}>
+                  {isBusy ? t('profile.saving') : t('drafting.save')}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Header button that opens the drafting mode
+export const DocumentDrafterButton = () => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex items-center space-x-1 px-3 py-1 rounded-full bg-white border border-blue-200 text-blue-700 text-sm hover:bg-blue-50 transition-colors shadow-sm"
+      >
+        <span>📝</span>
+        <span>{t('drafting.open')}</span>
+      </button>
+
+      {isOpen && <DocumentDrafter onClose={() => setIsOpen(false)} />}
+    </>
+  );
+};
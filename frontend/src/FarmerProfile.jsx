@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+import { counties, agroEcologicalZones } from './kenya';
+
+const irrigationOptions = ['rainfed', 'partial', 'full'];
+
+const emptyForm = {
+  county: '',
+  agroEcologicalZone: '',
+  crops: '',
+  livestock: '',
+  farmSizeAcres: '',
+  irrigation: 'rainfed'
+};
+
+// Split a comma separated list typed by the user
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const toForm = (profile) => ({
+  county: profile.county,
+  agroEcologicalZone: profile.agroEcologicalZone,
+  crops: profile.crops.join(', '),
+  livestock: profile.livestock.join(', '),
+  farmSizeAcres: String(profile.farmSizeAcres),
+  irrigation: Object.keys(profile.irrigation)[0]
+});
+
+const toProfile = (form) => ({
+  county: form.county,
+  agroEcologicalZone: form.agroEcologicalZone,
+  crops: splitList(form.crops),
+  livestock: splitList(form.livestock),
+  farmSizeAcres: Number(form.farmSizeAcres) || 0,
+  irrigation: { [form.irrigation]: null }
+});
+
+// Modal form for editing the farmer profile stored in the backend
+export const FarmerProfileForm = ({ profile, onSaved, onClose }) => {
+  const backend = useBackend();
+  const { t } = useI18n();
+  const [form, setForm] = useState(profile ? toForm(profile) : emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const saved = toProfile(form);
+      await backend.saveFarmerProfile(saved);
+      onSaved(saved);
+    } catch (err) {
+      console.error(err);
+      setError(t('profile.saveError'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg bg-white rounded-2xl shadow-2xl overflow-hidden"
+      >
+        <div className="p-5 border-b bg-gradient-to-r from-green-600 to-green-700 text-white">
+          <h2 className="text-lg font-semibold">{t('profile.title')}</h2>
+          <p className="text-sm text-white/80">{t('profile.intro')}</p>
+        </div>
+
+        <div className="p-5 space-y-4 max-h-[60vh] overflow-y-auto">
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.county')}</span>
+            <select required value={form.county} onChange={setField('county')} className={inputClass}>
+              <option value="">{t('profile.chooseCounty')}</option>
+              {counties.map(county => (
+                <option key={county} value={county}>{county}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.zone')}</span>
+            <select value={form.agroEcologicalZone} onChange={setField('agroEcologicalZone')} className={inputClass}>
+              <option value="">{t('profile.unknownZone')}</option>
+              {agroEcologicalZones.map(zone => (
+                <option key={zone.code} value={`${zone.name} (${zone.code})`}>{zone.name} ({zone.code})</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.crops')}</span>
+            <input type="text" value={form.crops} onChange={setField('crops')} placeholder={t('profile.cropsHint')} className={inputClass} />
+          </label>
+
+          <label className="block">
+            <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.livestock')}</span>
+            <input type="text" value={form.livestock} onChange={setField('livestock')} placeholder={t('profile.livestockHint')} className={inputClass} />
+          </label>
+
+          <div className="grid grid-cols-2 gap-4">
+            <label className="block">
+              <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.farmSize')}</span>
+              <input type="number" min="0" step="0.1" value={form.farmSizeAcres} onChange={setField('farmSizeAcres')} className={inputClass} />
+            </label>
+
+            <label className="block">
+              <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.irrigation')}</span>
+              <select value={form.irrigation} onChange={setField('irrigation')} className={inputClass}>
+                {irrigationOptions.map(option => (
+                  <option key={option} value={option}>{t(`profile.${option}`)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="flex justify-end space-x-3 p-4 border-t bg-gray-50">
+          <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-200 transition-colors">
+            {t('profile.cancel')}
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 transition-colors shadow-md"
+          >
+            {isSaving ? t('profile.saving') : t('profile.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Header chip showing the active farmer profile; opens the form when clicked
+export const FarmerProfileChip = () => {
+  const backend = useBackend();
+  const { t } = useI18n();
+  const [profile, setProfile] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+
+  useEffect(() => {
+    backend.getFarmerProfile()
+      .then(([stored]) => setProfile(stored ?? null))
+      .catch(console.error);
+  }, [backend]);
+
+  const summary = profile && [
+    profile.county,
+    profile.crops.slice(0, 2).join(', '),
+    profile.farmSizeAcres > 0 ? t('profile.acres', { count: profile.farmSizeAcres }) : null
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <>
+      <button
+        onClick={() => setIsEditing(true)}
+        title={profile ? t('profile.edit') : t('profile.setUp')}
+        className="flex items-center space-x-1 px-3 py-1 rounded-full bg-white border border-green-200 text-green-700 text-sm hover:bg-green-50 transition-colors shadow-sm max-w-xs truncate"
+      >
+        <span>📍</span>
+        <span className="truncate">{summary || t('profile.setUp')}</span>
+      </button>
+
+      {isEditing && (
+        <FarmerProfileForm
+          profile={profile}
+          onSaved={(saved) => {
+            setProfile(saved);
+            setIsEditing(false);
+          }}
+          onClose={() => setIsEditing(false)}
+        />
+      )}
+    </>
+  );
+};
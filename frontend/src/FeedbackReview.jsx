@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { advisors, getAdvisor } from './advisors';
+import { download } from './exportDocument';
+import { useI18n } from './i18n';
+
+const STATUSES = ['pending', 'confirmed', 'dismissed'];
+const RATINGS = ['down', 'up'];
+
+const variantOf = (variant) => Object.keys(variant)[0];
+const optionalFilter = (value) => value ? [{ [value]: null }] : [];
+
+// Convert a backend ReviewItem to a plain object for display and export
+const fromReviewItem = (item) => ({
+  id: Number(item.id),
+  advisorId: item.advisorId,
+  promptVersion: item.promptVersion.length > 0 ? Number(item.promptVersion[0]) : null,
+  prompt: item.prompt.length > 0 ? item.prompt[0] : null,
+  question: item.question,
+  answer: item.answer,
+  rating: variantOf(item.rating),
+  reasons: item.reasons.map(variantOf),
+  correction: item.correction,
+  status: variantOf(item.status),
+  reviewNote: item.reviewNote,
+  createdAt: new Date(Number(item.createdAt) / 1e6).toISOString(),
+  reviewedAt: item.reviewedAt.length > 0 ? new Date(Number(item.reviewedAt[0]) / 1e6).toISOString() : null
+});
+
+// Items the backend returns per page of feedback
+const PAGE_SIZE = 10;
+
+// Fetch feedback matching the filter page by page, up to `count` items or all
+// of them. Returns { items, total }.
+const fetchFeedback = async (backend, filter, count = Infinity) => {
+  const items = [];
+  let total = 0;
+  do {
+    const page = await backend.listFeedback(filter, BigInt(items.length), BigInt(Math.min(PAGE_SIZE, count - items.length)));
+    total = Number(page.total);
+    if (page.items.length === 0) break;
+    items.push(...page.items.map(fromReviewItem));
+  } while (items.length < Math.min(count, total));
+  return { items, total };
+};
+
+// Download feedback as JSON Lines, one evaluation record per line
+const downloadJsonl = (items) => {
+  const lines = items.map(item => JSON.stringify(item));
+  download(new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' }), `feedback-${new Date().toISOString().slice(0, 10)}.jsonl`);
+};
+
+const selectClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+// One feedback entry with the reviewer's verdict controls
+const ReviewCard = ({ item, onReviewed }) => {
+  const backend = useBackend();
+  const { t, localize, locale } = useI18n();
+  const [note, setNote] = useState(item.reviewNote);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const advisor = getAdvisor(item.advisorId);
+
+  const review = async (status) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await backend.reviewFeedback(BigInt(item.id), { [status]: null }, note.trim());
+      onReviewed();
+    } catch (err) {
+      console.error(err);
+      setError(t('admin.saveError'));
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <li className="p-4 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <span>{item.rating === 'up' ? '👍' : '👎'}</span>
+        <span className="font-medium text-gray-700">{advisor?.icon} {advisor ? localize(advisor.copy).name : item.advisorId}</span>
+        <span>{new Date(item.createdAt).toLocaleString(locale)}</span>
+        <span>{item.promptVersion === null ? '' : item.promptVersion === 0 ? t('admin.prompts.builtIn') : t('admin.prompts.version', { version: item.promptVersion })}</span>
+        <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">{t(`admin.feedback.statuses.${item.status}`)}</span>
+        {item.reasons.map(reason => (
+          <span key={reason} className="px-2 py-0.5 rounded-full bg-red-50 text-red-700">{t(`feedback.reasons.${reason}`)}</span>
+        ))}
+      </div>
+      <p className="font-medium text-gray-800 whitespace-pre-wrap">{item.question}</p>
+      <details>
+        <summary className="cursor-pointer text-gray-600">{t('admin.feedback.answer')}</summary>
+        <p className="mt-1 p-3 rounded-lg bg-gray-50 text-gray-700 whitespace-pre-wrap">{item.answer}</p>
+      </details>
+      {item.correction && (
+        <div>
+          <p className="text-xs font-medium text-gray-500">{t('admin.feedback.correction')}</p>
+          <p className="p-3 rounded-lg bg-green-50 text-gray-800 whitespace-pre-wrap">{item.correction}</p>
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder={t('admin.feedback.notePlaceholder')}
+          className={`flex-1 min-w-[14rem] ${selectClass}`}
+        />
+        <button onClick={() => review('confirmed')} disabled={isSaving} className="px-3 py-2 rounded-lg bg-red-600 text-white text-sm font-medium hover:bg-red-700 disabled:opacity-50">
+          {t('admin.feedback.confirm')}
+        </button>
+        <button onClick={() => review('dismissed')} disabled={isSaving} className="px-3 py-2 rounded-lg border border-gray-300 text-gray-700 text-sm font-medium hover:bg-gray-50 disabled:opacity-50">
+          {t('admin.feedback.dismiss')}
+        </button>
+      </div>
+      {error && <p className="text-red-600">{error}</p>}
+    </li>
+  );
+};
+
+// Reviewer queue of rated answers with filters and JSONL export
+export const FeedbackPanel = () => {
+  const backend = useBackend();
+  const { t, localize } = useI18n();
+  const [filter, setFilter] = useState({ status: 'pending', advisorId: '', rating: 'down' });
+  const [items, setItems] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const backendFilter = {
+    status: optionalFilter(filter.status),
+    advisorId: filter.advisorId ? [filter.advisorId] : [],
+    rating: optionalFilter(filter.rating)
+  };
+
+  // Load the first `count` items, so a review keeps the pages already shown
+  const load = (count = PAGE_SIZE) => {
+    setError(null);
+    setIsLoading(true);
+    fetchFeedback(backend, backendFilter, count)
+      .then(found => {
+        setItems(found.items);
+        setTotal(found.total);
+      })
+      .catch(err => {
+        console.error(err);
+        setError(t('admin.loadError'));
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  useEffect(() => load(), [backend, filter]);
+
+  const loadMore = () => {
+    setError(null);
+    setIsLoading(true);
+    backend.listFeedback(backendFilter, BigInt(items.length), BigInt(PAGE_SIZE))
+      .then(page => {
+        setItems(current => [...current, ...page.items.map(fromReviewItem)]);
+        setTotal(Number(page.total));
+      })
+      .catch(err => {
+        console.error(err);
+        setError(t('admin.loadError'));
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  // The export covers every matching item, not only the pages shown
+  const exportAll = async () => {
+    setError(null);
+    setIsExporting(true);
+    try {
+      const found = await fetchFeedback(backend, backendFilter);
+      downloadJsonl(found.items);
+    } catch (err) {
+      console.error(err);
+      setError(t('admin.loadError'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">{t('admin.feedback.intro')}</p>
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={filter.status} onChange={(e) => setFilter({ ...filter, status: e.target.value })} className={selectClass}>
+          <option value="">{t('admin.feedback.allStatuses')}</option>
+          {STATUSES.map(status => <option key={status} value={status}>{t(`admin.feedback.statuses.${status}`)}</option>)}
+        </select>
+        <select value={filter.advisorId} onChange={(e) => setFilter({ ...filter, advisorId: e.target.value })} className={selectClass}>
+          <option value="">{t('admin.feedback.allAdvisors')}</option>
+          {advisors.map(advisor => <option key={advisor.id} value={advisor.id}>{advisor.icon} {localize(advisor.copy).name}</option>)}
+        </select>
+        <select value={filter.rating} onChange={(e) => setFilter({ ...filter, rating: e.target.value })} className={selectClass}>
+          <option value="">{t('admin.feedback.allRatings')}</option>
+          {RATINGS.map(rating => <option key={rating} value={rating}>{t(`admin.feedback.ratings.${rating}`)}</option>)}
+        </select>
+        <button
+          onClick={exportAll}
+          disabled={total === 0 || isExporting}
+          className="ml-auto px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-medium hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          {t('admin.feedback.export', { count: total })}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {items && (
+        items.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('admin.feedback.empty')}</p>
+        ) : (
+          <>
+            <ul className="divide-y border rounded-xl">
+              {items.map(item => <ReviewCard key={`${item.id}-${item.createdAt}`} item={item} onReviewed={() => load(items.length)} />)}
+            </ul>
+            {items.length < total && (
+              <div className="flex items-center justify-center gap-3 text-sm text-gray-500">
+                <span>{t('admin.feedback.shown', { count: items.length, total })}</span>
+                <button
+                  onClick={loadMore}
+                  disabled={isLoading}
+                  className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {t('admin.feedback.loadMore')}
+                </button>
+              </div>
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
+};
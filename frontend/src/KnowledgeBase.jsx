@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+
+const emptyPassage = { source: '', section: '', title: '', url: '', text: '' };
+
+const toPassageInput = (passage) => ({
+  source: passage.source.trim(),
+  section: passage.section.trim(),
+  title: passage.title.trim(),
+  text: passage.text.trim(),
+  url: passage.url.trim() ? [passage.url.trim()] : []
+});
+
+// Read a JSON file holding a list of { source, section, title, text, url }
+// passages. Returns { inputs } or { error } with the translation key and
+// values describing the problem.
+const parsePassages = (text) => {
+  let list;
+  try {
+    list = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch {
+    return { error: ['admin.knowledge.importInvalid'] };
+  }
+  if (!Array.isArray(list)) return { error: ['admin.knowledge.importInvalid'] };
+  const invalid = list.findIndex(passage =>
+    typeof passage?.source !== 'string' || !passage.source.trim() || typeof passage.text !== 'string' || !passage.text.trim()
+  );
+  if (invalid >= 0) return { error: ['admin.knowledge.importError', { entry: invalid + 1 }] };
+
+  const inputs = list.map(passage => {
+    const field = (name) => typeof passage[name] === 'string' ? passage[name] : '';
+    return toPassageInput({ source: field('source'), section: field('section'), title: field('title'), url: field('url'), text: field('text') });
+  });
+  return { inputs };
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+// Admin tab to add, edit, import and remove the statute excerpts LegalBot cites
+export const KnowledgeBasePanel = () => {
+  const backend = useBackend();
+  const { t, locale } = useI18n();
+  const [passages, setPassages] = useState(null);
+  const [search, setSearch] = useState('');
+  // Passage being edited, or null while adding a new one
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyPassage);
+  const [isSaving, setIsSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const load = () => {
+    backend.listLegalPassages()
+      .then(list => setPassages([...list].sort((a, b) => a.source.localeCompare(b.source) || a.section.localeCompare(b.section, undefined, { numeric: true }))))
+      .catch(err => {
+        console.error(err);
+        setNotice({ error: true, text: t('admin.loadError') });
+      });
+  };
+
+  useEffect(load, [backend]);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const startEdit = (passage) => {
+    setEditingId(passage.id);
+    setForm({ ...passage, url: passage.url[0] ?? '' });
+    setNotice(null);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(emptyPassage);
+  };
+
+  // Run an admin action, then reload the passages and report the outcome
+  const run = async (action, success) => {
+    setIsSaving(true);
+    setNotice(null);
+    try {
+      await action();
+      load();
+      setNotice({ error: false, text: success });
+      return true;
+    } catch (err) {
+      console.error(err);
+      setNotice({ error: true, text: t('admin.saveError') });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = editingId === null
+      ? await run(() => backend.addLegalPassages([toPassageInput(form)]), t('admin.knowledge.added', { count: 1 }))
+      : await run(() => backend.updateLegalPassage(editingId, toPassageInput(form)), t('admin.saved'));
+    if (saved) cancelEdit();
+  };
+
+  const handleDelete = async (passage) => {
+    if (!window.confirm(t('admin.knowledge.confirmDelete'))) return;
+    if (await run(() => backend.deleteLegalPassage(passage.id), t('admin.knowledge.deleted')) && passage.id === editingId) {
+      cancelEdit();
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { inputs, error } = parsePassages(await file.text());
+    if (error) {
+      setNotice({ error: true, text: t(...error) });
+      return;
+    }
+    if (inputs.length > 0) await run(() => backend.addLegalPassages(inputs), t('admin.knowledge.added', { count: inputs.length }));
+  };
+
+  const needle = search.trim().toLocaleLowerCase();
+  const shown = (passages ?? []).filter(passage =>
+    !needle || [passage.source, passage.section, passage.title, passage.text].some(text => text.toLocaleLowerCase().includes(needle))
+  );
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">{t('admin.knowledge.intro')}</p>
+
+      <form onSubmit={handleSubmit} className="p-4 rounded-xl border border-dashed border-gray-300 space-y-3">
+        <h3 className="text-sm font-semibold text-gray-700">
+          {editingId === null ? t('admin.knowledge.addTitle') : t('admin.knowledge.editTitle')}
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <input required value={form.source} onChange={setField('source')} placeholder={t('admin.knowledge.source')} className={inputClass} />
+          <input value={form.section} onChange={setField('section')} placeholder={t('admin.knowledge.section')} className={inputClass} />
+          <input value={form.title} onChange={setField('title')} placeholder={t('admin.knowledge.title')} className={inputClass} />
+          <input type="url" value={form.url} onChange={setField('url')} placeholder={t('admin.knowledge.url')} className={inputClass} />
+        </div>
+        <textarea required value={form.text} onChange={setField('text')} rows={8} placeholder={t('admin.knowledge.text')} className={inputClass} />
+        <div className="flex flex-wrap items-center gap-3">
+          <button type="submit" disabled={isSaving} className="px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-medium hover:bg-green-700 disabled:opacity-50 transition-colors">
+            {isSaving ? t('admin.saving') : editingId === null ? t('admin.knowledge.add') : t('admin.save')}
+          </button>
+          {editingId !== null && (
+            <button type="button" onClick={cancelEdit} className="text-sm font-medium text-gray-600 hover:text-gray-800">
+              {t('admin.knowledge.cancel')}
+            </button>
+          )}
+          <label className="ml-auto text-sm text-gray-600">
+            <span className="mr-2">{t('admin.knowledge.import')}</span>
+            <input type="file" accept=".json,application/json" onChange={handleImport} disabled={isSaving} className="text-sm" />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">{t('admin.knowledge.importHint')}</p>
+      </form>
+
+      {notice && <p className={`text-sm ${notice.error ? 'text-red-600' : 'text-green-700'}`}>{notice.text}</p>}
+
+      <section className="space-y-2">
+        <div className="flex flex-wrap items-center gap-3">
+          <h3 className="text-sm font-semibold text-gray-700">
+            {t('admin.knowledge.passages', { count: passages?.length ?? 0 })}
+          </h3>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('admin.knowledge.search')}
+            className={`ml-auto max-w-xs ${inputClass}`}
+          />
+        </div>
+        {passages && shown.length === 0 ? (
+          <p className="text-sm text-gray-500">{passages.length === 0 ? t('admin.knowledge.empty') : t('admin.knowledge.noMatches')}</p>
+        ) : (
+          <ul className="divide-y border rounded-xl">
+            {shown.map(passage => (
+              <li key={passage.id} className={`p-3 text-sm space-y-1 ${passage.id === editingId ? 'bg-green-50' : ''}`}>
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <p className="font-medium text-gray-800">
+                    {[passage.source, passage.section].filter(Boolean).join(', ')}
+                    {passage.title && <span className="font-normal text-gray-600"> — {passage.title}</span>}
+                  </p>
+                  <span className="flex items-center gap-4 shrink-0">
+                    <button onClick={() => startEdit(passage)} className="font-medium text-green-700 hover:text-green-900">
+                      {t('admin.knowledge.edit')}
+                    </button>
+                    <button onClick={() => handleDelete(passage)} disabled={isSaving} className="font-medium text-red-600 hover:text-red-800 disabled:opacity-50">
+                      {t('admin.knowledge.delete')}
+                    </button>
+                  </span>
+                </div>
+                <p className="text-gray-600 line-clamp-2">{passage.text}</p>
+                <p className="text-xs text-gray-400">
+                  {t('admin.knowledge.updated', { date: new Date(Number(passage.updatedAt) / 1e6).toLocaleDateString(locale) })}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
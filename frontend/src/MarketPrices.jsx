@@ -0,0 +1,334 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+
+const seriesColors = ['#16a34a', '#2563eb', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
+
+const CSV_COLUMNS = ['commodity', 'market', 'unit', 'price', 'date'];
+
+// Split CSV text into rows of trimmed cells, honouring double-quoted cells.
+// A leading byte order mark, as Excel writes, is dropped.
+const parseCsv = (csv) => {
+  const text = csv.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+};
+
+// Turn CSV rows of commodity,market,unit,price,date into MarketPriceInput
+// records, skipping a header row. Throws with the offending line number.
+const toPriceInputs = (rows) => {
+  const body = rows.length > 0 && rows[0][0].toLowerCase() === CSV_COLUMNS[0] ? rows.slice(1) : rows;
+  const lineOffset = body === rows ? 1 : 2;
+  return body.map((cells, i) => {
+    const [commodity, market, unit, price, date] = cells;
+    const priceKes = Number(String(price ?? '').replace(/,/g, ''));
+    if (cells.length < CSV_COLUMNS.length || !(priceKes > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(String(i + lineOffset));
+    }
+    return { commodity, market, unit, priceKes, date };
+  });
+};
+
+const formatKes = (amount, locale) => `KES ${amount.toLocaleString(locale, { maximumFractionDigits: 2 })}`;
+
+// Line chart of prices over time with one line per market and unit
+const TrendChart = ({ prices }) => {
+  const { locale } = useI18n();
+  const width = 640;
+  const height = 240;
+  const pad = { top: 16, right: 16, bottom: 28, left: 72 };
+
+  const series = [];
+  for (const price of prices) {
+    const key = `${price.market} (${price.unit})`;
+    let entry = series.find(s => s.key === key);
+    if (!entry) {
+      entry = { key, points: [] };
+      series.push(entry);
+    }
+    entry.points.push({ time: Date.parse(price.date), price: price.priceKes });
+  }
+
+  const times = prices.map(p => Date.parse(p.date));
+  const values = prices.map(p => p.priceKes);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minValue = Math.min(...values) * 0.95;
+  const maxValue = Math.max(...values) * 1.05;
+
+  const x = (time) => pad.left + (maxTime === minTime ? 0.5 : (time - minTime) / (maxTime - minTime)) * (width - pad.left - pad.right);
+  const y = (value) => height - pad.bottom - (value - minValue) / (maxValue - minValue) * (height - pad.top - pad.bottom);
+  const ticks = [minValue, (minValue + maxValue) / 2, maxValue];
+  const dateLabel = (time) => new Date(time).toLocaleDateString(locale, { day: 'numeric', month: 'short', year: '2-digit' });
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+            <text x={pad.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+              {Math.round(tick).toLocaleString(locale)}
+            </text>
+          </g>
+        ))}
+        <text x={pad.left} y={height - 8} fontSize="11" fill="#6b7280">{dateLabel(minTime)}</text>
+        <text x={width - pad.right} y={height - 8} textAnchor="end" fontSize="11" fill="#6b7280">{dateLabel(maxTime)}</text>
+        {series.map((s, i) => (
+          <g key={s.key}>
+            <polyline
+              fill="none"
+              stroke={seriesColors[i % seriesColors.length]}
+              strokeWidth="2"
+              points={s.points.map(p => `${x(p.time)},${y(p.price)}`).join(' ')}
+            />
+            {s.points.map(p => (
+              <circle key={p.time} cx={x(p.time)} cy={y(p.price)} r="3" fill={seriesColors[i % seriesColors.length]} />
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        {series.map((s, i) => (
+          <span key={s.key} className="flex items-center space-x-1">
+            <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: seriesColors[i % seriesColors.length] }}></span>
+            <span>{s.key}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const emptyPrice = { commodity: '', market: '', unit: '', priceKes: '', date: new Date().toISOString().slice(0, 10) };
+
+// Admin tools for entering a price by hand or importing a CSV file
+const PriceEntry = ({ onAdded }) => {
+  const backend = useBackend();
+  const { t } = useI18n();
+  const [form, setForm] = useState(emptyPrice);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const save = async (inputs) => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await backend.addMarketPrices(inputs);
+      setMessage({ error: false, text: t('prices.added', { count: inputs.length }) });
+      onAdded();
+      return true;
+    } catch (err) {
+      console.error(err);
+      setMessage({ error: true, text: t('prices.saveError') });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await save([{ ...form, priceKes: Number(form.priceKes) }]);
+    if (saved) setForm(prev => ({ ...emptyPrice, date: prev.date }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let inputs;
+    try {
+      inputs = toPriceInputs(parseCsv(await file.text()));
+    } catch (err) {
+      setMessage({ error: true, text: t('prices.csvError', { line: err.message }) });
+      return;
+    }
+    if (inputs.length > 0) await save(inputs);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+  return (
+    <div className="p-4 rounded-xl border border-dashed border-gray-300 space-y-3">
+      <h3 className="font-semibold text-gray-800">{t('prices.adminTitle')}</h3>
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        <input required value={form.commodity} onChange={setField('commodity')} placeholder={t('prices.commodity')} className={inputClass} />
+        <input required value={form.market} onChange={setField('market')} placeholder={t('prices.market')} className={inputClass} />
+        <input required value={form.unit} onChange={setField('unit')} placeholder={t('prices.unit')} className={inputClass} />
+        <input required type="number" min="0" step="0.01" value={form.priceKes} onChange={setField('priceKes')} placeholder={t('prices.price')} className={inputClass} />
+        <input required type="date" value={form.date} onChange={setField('date')} className={inputClass} />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="col-span-2 md:col-span-1 px-4 py-2 rounded-lg bg-green-600 text-white text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          {t('prices.add')}
+        </button>
+      </form>
+      <label className="block text-sm text-gray-600">
+        <span className="block mb-1">{t('prices.import')}</span>
+        <input type="file" accept=".csv,text/csv" onChange={handleImport} disabled={isSaving} className="text-sm" />
+      </label>
+      {message && <p className={`text-sm ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>}
+    </div>
+  );
+};
+
+// Modal with per-commodity price trends from the market price board
+export const MarketPrices = ({ onClose }) => {
+  const backend = useBackend();
+  const { t, locale } = useI18n();
+  const [prices, setPrices] = useState([]);
+  const [commodity, setCommodity] = useState('');
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadPrices = () => {
+    setError(null);
+    backend.listMarketPrices([])
+      .then(setPrices)
+      .catch(err => {
+        console.error(err);
+        setError(t('prices.loadError'));
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  useEffect(() => {
+    loadPrices();
+    backend.isAdmin().then(setIsAdmin).catch(console.error);
+  }, [backend]);
+
+  const commodities = [...new Set(prices.map(p => p.commodity))].sort();
+  const selected = commodity || commodities[0] || '';
+  const commodityPrices = prices.filter(p => p.commodity === selected);
+
+  // Most recent price for each market and unit
+  const latest = Object.values(
+    commodityPrices.reduce((byMarket, price) => ({ ...byMarket, [`${price.market}|${price.unit}`]: price }), {})
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-4xl bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="flex items-start justify-between p-5 border-b bg-gradient-to-r from-green-600 to-green-700 text-white">
+          <div>
+            <h2 className="text-lg font-semibold">{t('prices.title')}</h2>
+            <p className="text-sm text-white/80">{t('prices.intro')}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-white/20 transition-colors" title={t('calendar.close')}>
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4 max-h-[70vh] overflow-y-auto">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {isLoading && <p className="text-sm text-gray-500">{t('prices.loading')}</p>}
+          {!isLoading && !error && commodities.length === 0 && (
+            <p className="text-sm text-gray-500">{t('prices.empty')}</p>
+          )}
+
+          {commodities.length > 0 && (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {commodities.map(name => (
+                  <button
+                    key={name}
+                    onClick={() => setCommodity(name)}
+                    className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                      name === selected ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-green-50'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+
+              <TrendChart prices={commodityPrices} />
+
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 font-medium">{t('prices.market')}</th>
+                    <th className="py-1 font-medium">{t('prices.unit')}</th>
+                    <th className="py-1 font-medium text-right">{t('prices.latest')}</th>
+                    <th className="py-1 font-medium text-right">{t('prices.date')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {latest.map(price => (
+                    <tr key={`${price.market}|${price.unit}`} className="border-t border-gray-100">
+                      <td className="py-2 text-gray-800">{price.market}</td>
+                      <td className="py-2 text-gray-600">{price.unit}</td>
+                      <td className="py-2 text-right font-medium text-gray-800">{formatKes(price.priceKes, locale)}</td>
+                      <td className="py-2 text-right text-gray-600">{price.date}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {isAdmin && <PriceEntry onAdded={loadPrices} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Header button that opens the market price board
+export const MarketPricesButton = () => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex items-center space-x-1 px-3 py-1 rounded-full bg-white border border-green-200 text-green-700 text-sm hover:bg-green-50 transition-colors shadow-sm"
+      >
+        <span>📈</span>
+        <span>{t('prices.open')}</span>
+      </button>
+
+      {isOpen && <MarketPrices onClose={() => setIsOpen(false)} />}
+    </>
+  );
+};
@@ -0,0 +1,45 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+
+// Tailwind styling for each Markdown element in a bot reply
+const components = {
+  h1: ({ node, ...props }) => <h3 className="text-lg font-bold mt-3 mb-2 first:mt-0" {...props} />,
+  h2: ({ node, ...props }) => <h4 className="text-base font-bold mt-3 mb-2 first:mt-0" {...props} />,
+  h3: ({ node, ...props }) => <h5 className="font-semibold mt-3 mb-1 first:mt-0" {...props} />,
+  h4: ({ node, ...props }) => <h6 className="font-semibold mt-2 mb-1 first:mt-0" {...props} />,
+  p: ({ node, ...props }) => <p className="mb-2 last:mb-0" {...props} />,
+  ul: ({ node, ...props }) => <ul className="list-disc pl-5 mb-2 space-y-1" {...props} />,
+  ol: ({ node, ...props }) => <ol className="list-decimal pl-5 mb-2 space-y-1" {...props} />,
+  a: ({ node, ...props }) => (
+    <a className="text-blue-600 underline hover:text-blue-800" target="_blank" rel="noopener noreferrer" {...props} />
+  ),
+  table: ({ node, ...props }) => (
+    <div className="overflow-x-auto mb-2">
+      <table className="min-w-full text-sm border border-gray-200" {...props} />
+    </div>
+  ),
+  th: ({ node, ...props }) => <th className="px-2 py-1 border border-gray-200 bg-gray-50 text-left font-semibold" {...props} />,
+  td: ({ node, ...props }) => <td className="px-2 py-1 border border-gray-200 align-top" {...props} />,
+  blockquote: ({ node, ...props }) => <blockquote className="border-l-4 border-gray-200 pl-3 italic text-gray-600 mb-2" {...props} />,
+  code: ({ node, ...props }) => <code className="bg-gray-100 rounded px-1 text-sm" {...props} />
+};
+
+// Render a bot reply as Markdown. Raw HTML in the reply is never rendered
+// and the resulting tree is sanitised before it reaches the DOM.
+const MessageContent = ({ content }) => {
+  return (
+    <div className="break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeSanitize]}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MessageContent;
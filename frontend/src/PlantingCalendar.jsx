@@ -0,0 +1,269 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useI18n } from './i18n';
+import { counties } from './kenya';
+
+// Whether a 1-12 month falls inside a planting window that may wrap over the new year
+const inWindow = (month, row) => {
+  const start = Number(row.startMonth);
+  const end = Number(row.endMonth);
+  return start <= end ? month >= start && month <= end : month >= start || month <= end;
+};
+
+// The next 12 months starting with the current one
+const upcomingMonths = () => {
+  const now = new Date();
+  return Array.from({ length: 12 }, (_, i) => new Date(now.getFullYear(), now.getMonth() + i, 1));
+};
+
+const seasonStyles = {
+  longRains: 'bg-green-500',
+  shortRains: 'bg-amber-400'
+};
+
+const emptyWindow = { crop: '', season: 'longRains', startMonth: '3', endMonth: '4', varieties: '', fertilizer: '', notes: '' };
+
+// Admin form for adding a planting window to the calendar
+const WindowEntry = ({ county, onAdded }) => {
+  const backend = useBackend();
+  const { t, locale } = useI18n();
+  const [form, setForm] = useState({ ...emptyWindow, county });
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Follow the county being viewed until the admin picks another one
+  useEffect(() => {
+    setForm(prev => prev.county ? prev : { ...prev, county });
+  }, [county]);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await backend.addPlantingWindows([{
+        crop: form.crop.trim(),
+        county: form.county,
+        season: { [form.season]: null },
+        startMonth: BigInt(form.startMonth),
+        endMonth: BigInt(form.endMonth),
+        varieties: form.varieties.split(',').map(v => v.trim()).filter(Boolean),
+        fertilizer: form.fertilizer.trim(),
+        notes: form.notes.trim()
+      }]);
+      setMessage({ error: false, text: t('calendar.added', { crop: form.crop.trim(), county: form.county }) });
+      setForm(prev => ({ ...emptyWindow, county: prev.county, season: prev.season, startMonth: prev.startMonth, endMonth: prev.endMonth }));
+      onAdded(form.county);
+    } catch (err) {
+      console.error(err);
+      setMessage({ error: true, text: t('calendar.saveError') });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const monthOptions = Array.from({ length: 12 }, (_, i) => (
+    <option key={i + 1} value={i + 1}>{new Date(2000, i, 1).toLocaleDateString(locale, { month: 'long' })}</option>
+  ));
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+  return (
+    <div className="p-4 rounded-xl border border-dashed border-gray-300 space-y-3">
+      <h3 className="font-semibold text-gray-800">{t('calendar.adminTitle')}</h3>
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        <input required value={form.crop} onChange={setField('crop')} placeholder={t('calendar.crop')} className={inputClass} />
+        <select required value={form.county} onChange={setField('county')} className={inputClass}>
+          <option value="">{t('profile.chooseCounty')}</option>
+          {counties.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <select value={form.season} onChange={setField('season')} className={inputClass}>
+          <option value="longRains">{t('calendar.longRains')}</option>
+          <option value="shortRains">{t('calendar.shortRains')}</option>
+        </select>
+        <select value={form.startMonth} onChange={setField('startMonth')} title={t('calendar.startMonth')} className={inputClass}>
+          {monthOptions}
+        </select>
+        <select value={form.endMonth} onChange={setField('endMonth')} title={t('calendar.endMonth')} className={inputClass}>
+          {monthOptions}
+        </select>
+        <input value={form.varieties} onChange={setField('varieties')} placeholder={t('calendar.varietiesHint')} className={`${inputClass} col-span-2`} />
+        <input value={form.fertilizer} onChange={setField('fertilizer')} placeholder={t('calendar.fertilizer')} className={`${inputClass} col-span-2 md:col-span-3`} />
+        <input value={form.notes} onChange={setField('notes')} placeholder={t('calendar.notes')} className={`${inputClass} col-span-2 md:col-span-4`} />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="col-span-2 md:col-span-1 px-4 py-2 rounded-lg bg-green-600 text-white text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+        >
+          {t('calendar.add')}
+        </button>
+      </form>
+      {message && <p className={`text-sm ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>}
+    </div>
+  );
+};
+
+// Modal showing the planting windows for a county over the next 12 months
+export const PlantingCalendar = ({ onClose }) => {
+  const backend = useBackend();
+  const { t, locale } = useI18n();
+  const [county, setCounty] = useState('');
+  const [windows, setWindows] = useState([]);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start with the county from the farmer profile
+  useEffect(() => {
+    backend.getFarmerProfile()
+      .then(([profile]) => {
+        if (profile) setCounty(current => current || profile.county);
+      })
+      .catch(console.error);
+    backend.isAdmin().then(setIsAdmin).catch(console.error);
+  }, [backend]);
+
+  const loadWindows = () => {
+    if (!county) return;
+    setIsLoading(true);
+    setError(null);
+    backend.listPlantingWindows([county])
+      .then(rows => setWindows([...rows].sort((a, b) => a.crop.localeCompare(b.crop))))
+      .catch(err => {
+        console.error(err);
+        setError(t('calendar.loadError'));
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  useEffect(loadWindows, [backend, county]);
+
+  // Show the county the admin just added to, reloading if it is already shown
+  const handleAdded = (addedTo) => {
+    if (addedTo === county) loadWindows();
+    else setCounty(addedTo);
+  };
+
+  const months = upcomingMonths();
+  const seasonOf = (row) => Object.keys(row.season)[0];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div onClick={(e) => e.stopPropagation()} className="w-full max-w-4xl bg-white rounded-2xl shadow-2xl overflow-hidden">
+        <div className="flex items-start justify-between p-5 border-b bg-gradient-to-r from-green-600 to-green-700 text-white">
+          <div>
+            <h2 className="text-lg font-semibold">{t('calendar.title')}</h2>
+            <p className="text-sm text-white/80">{t('calendar.intro')}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-white/20 transition-colors" title={t('calendar.close')}>
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4 max-h-[70vh] overflow-y-auto">
+          <label className="block max-w-xs">
+            <span className="block text-sm font-medium text-gray-700 mb-1">{t('profile.county')}</span>
+            <select
+              value={county}
+              onChange={(e) => setCounty(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            >
+              <option value="">{t('profile.chooseCounty')}</option>
+              {counties.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {isLoading && <p className="text-sm text-gray-500">{t('calendar.loading')}</p>}
+          {!isLoading && county && !error && windows.length === 0 && (
+            <p className="text-sm text-gray-500">{t('calendar.empty', { county })}</p>
+          )}
+
+          {!isLoading && windows.length > 0 && (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr>
+                      <th className="px-2 py-1 text-left font-semibold text-gray-700">{t('calendar.crop')}</th>
+                      {months.map(month => (
+                        <th key={month.getTime()} className="px-1 py-1 text-center font-medium text-gray-500 whitespace-nowrap">
+                          {month.toLocaleDateString(locale, { month: 'short' })}
+                          {month.getMonth() === 0 && <span className="block text-xs">{month.getFullYear()}</span>}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {windows.map(row => (
+                      <tr key={row.id} className="border-t border-gray-100">
+                        <td className="px-2 py-2 whitespace-nowrap">
+                          <span className="font-medium text-gray-800">{row.crop}</span>
+                          <span className="block text-xs text-gray-500">{t(`calendar.${seasonOf(row)}`)}</span>
+                        </td>
+                        {months.map(month => (
+                          <td key={month.getTime()} className="px-1 py-2">
+                            <div className={`h-4 rounded ${inWindow(month.getMonth() + 1, row) ? seasonStyles[seasonOf(row)] : 'bg-gray-100'}`}></div>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex items-center space-x-4 text-xs text-gray-600">
+                <span className="flex items-center space-x-1"><span className="inline-block w-3 h-3 rounded bg-green-500"></span><span>{t('calendar.longRains')}</span></span>
+                <span className="flex items-center space-x-1"><span className="inline-block w-3 h-3 rounded bg-amber-400"></span><span>{t('calendar.shortRains')}</span></span>
+              </div>
+
+              <ul className="space-y-2">
+                {windows.map(row => (
+                  <li key={row.id} className="p-3 rounded-lg bg-gray-50 border border-gray-200 text-sm text-gray-700">
+                    <div className="font-medium text-gray-800">{row.crop} · {t(`calendar.${seasonOf(row)}`)}</div>
+                    {row.varieties.length > 0 && (
+                      <div><span className="font-medium">{t('calendar.varieties')}:</span> {row.varieties.join(', ')}</div>
+                    )}
+                    {row.fertilizer && (
+                      <div><span className="font-medium">{t('calendar.fertilizer')}:</span> {row.fertilizer}</div>
+                    )}
+                    {row.notes && <div className="text-gray-600">{row.notes}</div>}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {isAdmin && <WindowEntry county={county} onAdded={handleAdded} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Header button that opens the planting calendar
+export const PlantingCalendarButton = () => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex items-center space-x-1 px-3 py-1 rounded-full bg-white border border-green-200 text-green-700 text-sm hover:bg-green-50 transition-colors shadow-sm"
+      >
+        <span>🗓️</span>
+        <span>{t('calendar.open')}</span>
+      </button>
+
+      {isOpen && <PlantingCalendar onClose={() => setIsOpen(false)} />}
+    </>
+  );
+};
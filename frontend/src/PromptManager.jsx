@@ -0,0 +1,300 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { advisors } from './advisors';
+import { languages, useI18n } from './i18n';
+import MessageContent from './MessageContent';
+
+// Side-by-side line diff of two texts. Returns rows of { left, right, kind }
+// where kind is 'same', 'changed', 'removed' or 'added' and a missing side is null.
+const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  // Pair up a run of removed and added lines as changed rows
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k] ?? null;
+      const right = added[k] ?? null;
+      rows.push({ left, right, kind: left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added' });
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      rows.push({ left: a[i], right: b[j], kind: 'same' });
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+  flush();
+  return rows;
+};
+
+const leftStyles = { same: '', changed: 'bg-amber-50', removed: 'bg-red-50 text-red-800', added: 'bg-gray-50' };
+const rightStyles = { same: '', changed: 'bg-amber-50', removed: 'bg-gray-50', added: 'bg-green-50 text-green-800' };
+
+const PromptDiff = ({ before, after }) => (
+  <div className="overflow-x-auto border rounded-lg">
+    <table className="w-full text-xs font-mono">
+      <tbody>
+        {diffLines(before, after).map((row, index) => (
+          <tr key={index} className="align-top">
+            <td className={`w-1/2 px-2 py-0.5 whitespace-pre-wrap border-r ${leftStyles[row.kind]}`}>{row.left}</td>
+            <td className={`w-1/2 px-2 py-0.5 whitespace-pre-wrap ${rightStyles[row.kind]}`}>{row.right}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent';
+const buttonClass = 'px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-medium hover:bg-green-700 disabled:opacity-50 transition-colors';
+const linkButtonClass = 'text-sm font-medium text-green-700 hover:text-green-900 disabled:opacity-50';
+
+// Admin tab to edit, compare, activate, A/B test and try out advisor system prompts
+export const PromptsPanel = () => {
+  const backend = useBackend();
+  const { t, localize, locale } = useI18n();
+  const [advisorId, setAdvisorId] = useState(advisors[0].id);
+  const [versions, setVersions] = useState([]);
+  const [assignment, setAssignment] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [note, setNote] = useState('');
+  const [compare, setCompare] = useState({ from: 0, to: 0 });
+  const [experiment, setExperiment] = useState({ version: '', percent: '10' });
+  const [sandbox, setSandbox] = useState({ question: '', language: languages[0].code, answer: null, isRunning: false });
+  const [notice, setNotice] = useState(null);
+
+  const load = async (keepDraft = false) => {
+    const [loaded, current] = await Promise.all([
+      backend.listPromptVersions(advisorId),
+      backend.getPromptAssignment(advisorId)
+    ]);
+    const list = loaded.map(version => ({ ...version, version: Number(version.version) }));
+    const active = Number(current.active);
+    setVersions(list);
+    setAssignment({
+      active,
+      experiment: current.experiment.length > 0
+        ? { version: Number(current.experiment[0].version), percent: Number(current.experiment[0].percent) }
+        : null
+    });
+    setCompare({ from: active, to: list[list.length - 1].version });
+    if (!keepDraft) setDraft(list.find(version => version.version === active)?.text ?? '');
+  };
+
+  useEffect(() => {
+    setNotice(null);
+    setSandbox(current => ({ ...current, answer: null }));
+    load().catch(err => {
+      console.error(err);
+      setNotice({ error: true, text: t('admin.loadError') });
+    });
+  }, [backend, advisorId]);
+
+  // Run an admin action, then reload the versions and report the outcome
+  const run = async (action, successKey) => {
+    setNotice(null);
+    try {
+      await action();
+      await load(true);
+      setNotice({ error: false, text: t(successKey) });
+    } catch (err) {
+      console.error(err);
+      setNotice({ error: true, text: t('admin.saveError') });
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    await backend.savePromptVersion(advisorId, draft, note.trim());
+    setNote('');
+  }, 'admin.prompts.saved');
+
+  const handleActivate = (version) => run(() => backend.activatePromptVersion(advisorId, BigInt(version)), 'admin.prompts.activated');
+
+  const handleStartExperiment = () => run(
+    () => backend.setPromptExperiment(advisorId, [{ version: BigInt(experiment.version), percent: BigInt(experiment.percent) }]),
+    'admin.prompts.experimentStarted'
+  );
+
+  const handleEndExperiment = () => run(() => backend.setPromptExperiment(advisorId, []), 'admin.prompts.experimentEnded');
+
+  const handleTest = async () => {
+    setSandbox(current => ({ ...current, isRunning: true, answer: null }));
+    try {
+      const answer = await backend.testPrompt(advisorId, draft, sandbox.language, sandbox.question);
+      setSandbox(current => ({ ...current, isRunning: false, answer }));
+    } catch (err) {
+      console.error(err);
+      setSandbox(current => ({ ...current, isRunning: false, answer: null }));
+      setNotice({ error: true, text: t('admin.prompts.testError') });
+    }
+  };
+
+  const versionLabel = (version) => version === 0 ? t('admin.prompts.builtIn') : t('admin.prompts.version', { version });
+  const textOf = (version) => versions.find(entry => entry.version === version)?.text ?? '';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={advisorId} onChange={(e) => setAdvisorId(e.target.value)} className={inputClass}>
+          {advisors.map(advisor => (
+            <option key={advisor.id} value={advisor.id}>{advisor.icon} {localize(advisor.copy).name}</option>
+          ))}
+        </select>
+        {notice && <p className={`text-sm ${notice.error ? 'text-red-600' : 'text-green-700'}`}>{notice.text}</p>}
+      </div>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">{t('admin.prompts.history')}</h3>
+        <ul className="divide-y border rounded-xl">
+          {[...versions].reverse().map(entry => (
+            <li key={entry.version} className="flex flex-wrap items-center justify-between gap-3 p-3 text-sm">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">
+                  {versionLabel(entry.version)}
+                  {assignment?.active === entry.version && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs">{t('admin.prompts.active')}</span>
+                  )}
+                  {assignment?.experiment?.version === entry.version && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs">
+                      {t('admin.prompts.candidate', { percent: assignment.experiment.percent })}
+                    </span>
+                  )}
+                </p>
+                <p className="text-gray-500 truncate">
+                  {entry.note || t('admin.prompts.noNote')}
+                  {entry.version > 0 && ` · ${new Date(Number(entry.createdAt) / 1e6).toLocaleString(locale)}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-4 shrink-0">
+                <button onClick={() => setDraft(entry.text)} className={linkButtonClass}>{t('admin.prompts.edit')}</button>
+                {assignment?.active !== entry.version && (
+                  <button onClick={() => handleActivate(entry.version)} className={linkButtonClass}>
+                    {entry.version < assignment?.active ? t('admin.prompts.rollBack') : t('admin.prompts.activate')}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-700">{t('admin.prompts.editor')}</h3>
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={12}
+          className={`w-full font-mono text-xs ${inputClass}`}
+        />
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={t('admin.prompts.notePlaceholder')}
+            className={`flex-1 min-w-[16rem] text-sm ${inputClass}`}
+          />
+          <button onClick={handleSave} disabled={!draft.trim()} className={buttonClass}>{t('admin.prompts.save')}</button>
+        </div>
+        <p className="text-xs text-gray-500">{t('admin.prompts.saveHint')}</p>
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-700">{t('admin.prompts.sandbox')}</h3>
+        <p className="text-xs text-gray-500">{t('admin.prompts.sandboxHint')}</p>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            value={sandbox.question}
+            onChange={(e) => setSandbox({ ...sandbox, question: e.target.value })}
+            placeholder={t('admin.prompts.question')}
+            className={`flex-1 min-w-[16rem] text-sm ${inputClass}`}
+          />
+          <select value={sandbox.language} onChange={(e) => setSandbox({ ...sandbox, language: e.target.value })} className={`text-sm ${inputClass}`}>
+            {languages.map(language => <option key={language.code} value={language.code}>{language.label}</option>)}
+          </select>
+          <button onClick={handleTest} disabled={sandbox.isRunning || !draft.trim() || !sandbox.question.trim()} className={buttonClass}>
+            {sandbox.isRunning ? t('admin.prompts.testing') : t('admin.prompts.test')}
+          </button>
+        </div>
+        {sandbox.answer !== null && (
+          <div className="p-4 rounded-lg border bg-gray-50 text-sm text-gray-800">
+            <MessageContent content={sandbox.answer} />
+          </div>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-700">{t('admin.prompts.experiment')}</h3>
+        <p className="text-xs text-gray-500">{t('admin.prompts.experimentHint')}</p>
+        {assignment?.experiment ? (
+          <div className="flex items-center gap-3 text-sm">
+            <span>{t('admin.prompts.experimentRunning', { version: versionLabel(assignment.experiment.version), percent: assignment.experiment.percent })}</span>
+            <button onClick={handleEndExperiment} className={linkButtonClass}>{t('admin.prompts.endExperiment')}</button>
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={experiment.version} onChange={(e) => setExperiment({ ...experiment, version: e.target.value })} className={`text-sm ${inputClass}`}>
+              <option value="">{t('admin.prompts.chooseCandidate')}</option>
+              {versions.filter(entry => entry.version !== assignment?.active).map(entry => (
+                <option key={entry.version} value={entry.version}>{versionLabel(entry.version)}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={experiment.percent}
+                onChange={(e) => setExperiment({ ...experiment, percent: e.target.value })}
+                className={`w-20 ${inputClass}`}
+              />
+              {t('admin.prompts.percentOfUsers')}
+            </label>
+            <button onClick={handleStartExperiment} disabled={experiment.version === ''} className={buttonClass}>
+              {t('admin.prompts.startExperiment')}
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-700">{t('admin.prompts.compare')}</h3>
+        <div className="flex items-center gap-2 text-sm">
+          {['from', 'to'].map(side => (
+            <select
+              key={side}
+              value={compare[side]}
+              onChange={(e) => setCompare({ ...compare, [side]: Number(e.target.value) })}
+              className={`text-sm ${inputClass}`}
+            >
+              {versions.map(entry => <option key={entry.version} value={entry.version}>{versionLabel(entry.version)}</option>)}
+            </select>
+          ))}
+        </div>
+        {versions.length > 0 && <PromptDiff before={textOf(compare.from)} after={textOf(compare.to)} />}
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { useChatContext } from './ChatManager';
+import { useI18n } from './i18n';
+
+// How often the meter refreshes while idle, so reset times stay current
+const REFRESH_INTERVAL_MS = 60000;
+
+// Round a number of seconds up to the largest sensible unit
+const formatWait = (seconds, t) => (
+  seconds >= 3600
+    ? t('quota.hours', { count: Math.ceil(seconds / 3600) })
+    : t('quota.minutes', { count: Math.max(1, Math.ceil(seconds / 60)) })
+);
+
+// Header meter showing how many messages the user has left today, with the
+// hourly allowance and a clear notice once either is used up
+export const QuotaMeter = ({ botType }) => {
+  const backend = useBackend();
+  const { getCurrentSession } = useChatContext();
+  const { t } = useI18n();
+  const [quota, setQuota] = useState(null);
+
+  // Refresh whenever a message is added to the open session
+  const messageCount = getCurrentSession(botType)?.messages.length ?? 0;
+
+  useEffect(() => {
+    const load = () => {
+      backend.getQuota()
+        .then(status => setQuota(Object.fromEntries(Object.entries(status).map(([key, value]) => [key, Number(value)]))))
+        .catch(console.error);
+    };
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [backend, messageCount]);
+
+  if (!quota) return null;
+
+  const dailyUsedUp = quota.dailyRemaining === 0;
+  const hourlyUsedUp = quota.hourlyRemaining === 0;
+  const percentLeft = Math.round(quota.dailyRemaining / quota.dailyLimit * 100);
+  const barColor = percentLeft > 30 ? 'bg-white' : percentLeft > 0 ? 'bg-amber-300' : 'bg-red-400';
+
+  return (
+    <div className='min-w-[10rem] text-xs text-white/90' title={t('quota.hourly', { remaining: quota.hourlyRemaining, limit: quota.hourlyLimit })}>
+      <div className='flex justify-between mb-1'>
+        <span>{t('quota.label')}</span>
+        <span className='font-semibold'>{quota.dailyRemaining}/{quota.dailyLimit}</span>
+      </div>
+      <div className='h-2 rounded-full bg-white/20 overflow-hidden'>
+        <div className={`h-2 rounded-full ${barColor}`} style={{ width: `${percentLeft}%` }}></div>
+      </div>
+      {(dailyUsedUp || hourlyUsedUp) && (
+        <p className='mt-1 font-semibold text-red-100'>
+          {dailyUsedUp
+            ? t('quota.dailyReached', { wait: formatWait(quota.dayResetSeconds, t) })
+            : t('quota.hourlyReached', { wait: formatWait(quota.hourResetSeconds, t) })}
+        </p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,131 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { createBackendActor } from './BackendProvider';
+import { fromStoredMessages, useChatContext } from './ChatManager';
+import { getAdvisor } from './advisors';
+import { LanguageSwitcher, useI18n } from './i18n';
+import MessageContent from './MessageContent';
+import SourceCards from './SourceCards';
+import { goHome } from './routes';
+
+// Public, read-only page for a shared conversation. It loads without signing
+// in; onContinue({ advisorId, language, messages }) copies the conversation
+// into the visitor's own chats, signing them in first if needed.
+export const SharedConversation = ({ shareId, onContinue }) => {
+  const { t, localize, locale } = useI18n();
+  // Shared conversations are public, so they are fetched anonymously
+  const backend = useMemo(() => createBackendActor(), []);
+  // undefined while loading, null if the link does not exist or was revoked
+  const [shared, setShared] = useState(undefined);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setShared(undefined);
+    setError(null);
+    backend.getSharedSession(shareId)
+      .then(found => setShared(found.length > 0 ? {
+        ...found[0],
+        messages: fromStoredMessages(found[0].messages),
+        createdAt: new Date(Number(found[0].createdAt) / 1e6)
+      } : null))
+      .catch(err => {
+        console.error(err);
+        setError(t('share.loadError'));
+      });
+  }, [backend, shareId]);
+
+  const advisor = shared ? getAdvisor(shared.advisorId) : null;
+  const copy = advisor ? localize(advisor.copy) : null;
+  const theme = advisor?.theme;
+
+  const openAppButton = (
+    <button onClick={goHome} className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 transition-colors">
+      {t('share.openApp')}
+    </button>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-blue-50">
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-3xl mx-auto">
+          <div className="flex justify-end mb-4">
+            <LanguageSwitcher className="bg-white/80 text-gray-700 border border-gray-200 shadow-sm focus:ring-green-500" />
+          </div>
+
+          {error || shared === null || (shared && !advisor) ? (
+            <div className="bg-white rounded-3xl shadow-2xl border border-gray-100 p-8 text-center space-y-4">
+              <p className="text-gray-700">{error ?? t('share.notFound')}</p>
+              {openAppButton}
+            </div>
+          ) : shared === undefined ? (
+            <div className="flex justify-center py-16">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
+            </div>
+          ) : (
+            <div className="bg-white rounded-3xl shadow-2xl border border-gray-100 overflow-hidden">
+              {/* Header */}
+              <div className={`p-6 border-b bg-gradient-to-r ${theme.header}`}>
+                <p className={`text-sm font-medium ${theme.subtitle}`}>{advisor.icon} {copy.name} · {copy.tagline}</p>
+                <h1 className={`text-2xl font-bold mt-1 ${theme.title}`}>{shared.title}</h1>
+                <p className={`text-xs mt-2 ${theme.subtitle}`}>
+                  {t('share.sharedOn', { date: shared.createdAt.toLocaleDateString(locale) })} · {t('share.readOnly')}
+                </p>
+              </div>
+
+              {/* Messages */}
+              <div className={`p-4 space-y-4 bg-gradient-to-b ${theme.chatBackground} to-white`}>
+                {shared.messages.map((m, i) => {
+                  const isUser = 'user' in m;
+                  const message = isUser ? m.user : m.system;
+                  const citations = isUser ? [] : message.citations ?? [];
+                  return (
+                    <div key={i} className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+                      <div className={`max-w-xs lg:max-w-md xl:max-w-lg px-4 py-3 break-words ${
+                        isUser
+                          ? `bg-gradient-to-r ${theme.userBubble} text-white rounded-l-2xl rounded-br-sm`
+                          : 'bg-white text-gray-800 rounded-r-2xl rounded-bl-sm shadow-md border border-gray-100'
+                      }`}>
+                        {isUser ? <div className="whitespace-pre-wrap">{message.content}</div> : <MessageContent content={message.content} />}
+                        {citations.length > 0 && <SourceCards citations={citations} />}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Actions */}
+              <div className="p-6 border-t space-y-4">
+                <p className="text-xs text-gray-500">{copy.disclaimer}</p>
+                <div className="flex flex-wrap items-center gap-3">
+                  <button
+                    onClick={() => onContinue({ advisorId: shared.advisorId, language: shared.language, messages: shared.messages })}
+                    className={`px-4 py-2 rounded-lg text-white font-medium shadow-md transition-colors ${theme.button}`}
+                  >
+                    {t('share.continue')}
+                  </button>
+                  {openAppButton}
+                </div>
+                <p className="text-xs text-gray-500">{t('share.continueHint')}</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Copies a shared conversation into a new session once the signed-in user's
+// sessions have loaded, then calls onDone(advisorId)
+export const ContinueSharedChat = ({ conversation, onDone }) => {
+  const { isLoaded, createSessionFrom } = useChatContext();
+  const doneRef = useRef(false);
+
+  useEffect(() => {
+    if (!isLoaded || doneRef.current) return;
+    doneRef.current = true;
+    createSessionFrom(conversation.advisorId, conversation);
+    onDone(conversation.advisorId);
+  }, [isLoaded]);
+
+  return null;
+};
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { useBackend } from './BackendProvider';
+import { getAdvisor } from './advisors';
+import { useI18n } from './i18n';
+import { shareUrl } from './routes';
+
+// Button that copies text to the clipboard and confirms briefly
+export const CopyButton = ({ text, className = '' }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const copy = (e) => {
+    e.stopPropagation();
+    navigator.clipboard.writeText(text)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      })
+      .catch(console.error);
+  };
+
+  return (
+    <button onClick={copy} className={`font-medium text-blue-600 hover:text-blue-800 ${className}`}>
+      {copied ? t('share.copied') : t('share.copy')}
+    </button>
+  );
+};
+
+// The signed-in user's share links, with copy and revoke actions
+export const SharedLinksList = () => {
+  const backend = useBackend();
+  const { t, localize, locale } = useI18n();
+  const [links, setLinks] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = () => {
+    setError(null);
+    backend.listSharedLinks()
+      .then(setLinks)
+      .catch(err => {
+        console.error(err);
+        setError(t('share.loadLinksError'));
+      });
+  };
+
+  useEffect(load, [backend]);
+
+  const revoke = async (id) => {
+    if (!window.confirm(t('share.confirmRevoke'))) return;
+    try {
+      await backend.revokeSharedLink(id);
+      load();
+    } catch (err) {
+      console.error(err);
+      setError(t('share.revokeError'));
+    }
+  };
+
+  if (error) return <p className="text-xs text-red-600">{error}</p>;
+  if (!links) return <p className="text-xs text-gray-500">{t('share.loading')}</p>;
+  if (links.length === 0) return <p className="text-xs text-gray-500">{t('share.noLinks')}</p>;
+
+  return (
+    <ul className="max-h-48 overflow-y-auto divide-y border rounded-lg text-xs">
+      {links.map(link => {
+        const advisor = getAdvisor(link.advisorId);
+        return (
+          <li key={link.id} className="p-2 space-y-1">
+            <p className="font-medium text-gray-800 truncate">{advisor?.icon} {link.title}</p>
+            <div className="flex items-center space-x-2 text-gray-500">
+              <span>{new Date(Number(link.createdAt) / 1e6).toLocaleDateString(locale)}</span>
+              {advisor && <span>· {localize(advisor.copy).name}</span>}
+              <span className="flex-1"></span>
+              <CopyButton text={shareUrl(link.id)} />
+              <button onClick={() => revoke(link.id)} className="font-medium text-red-600 hover:text-red-800">
+                {t('share.revoke')}
+              </button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
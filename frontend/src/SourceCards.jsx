@@ -0,0 +1,50 @@
+import React from 'react';
+import { safeUrl } from './citations';
+import { useI18n } from './i18n';
+
+// Expandable cards for the knowledge-base passages a reply cites. Card
+// numbers match the [1], [2] markers in the reply text.
+const SourceCards = ({ citations }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100 space-y-2">
+      <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">{t('chat.sources')}</div>
+      {citations.map((citation, i) => {
+        const url = safeUrl(citation.url);
+        return (
+          <details key={citation.passageId} className="group rounded-lg border border-gray-200 bg-gray-50 text-sm">
+            <summary className="flex items-start space-x-2 px-3 py-2 cursor-pointer list-none">
+              <span className="font-semibold text-gray-500">[{i + 1}]</span>
+              <span className="flex-1">
+                <span className="font-medium text-gray-800">{citation.source}</span>
+                {citation.section && <span className="text-gray-600">, {citation.section}</span>}
+                {citation.title && <span className="block text-xs text-gray-500">{citation.title}</span>}
+              </span>
+              <svg className="w-4 h-4 mt-0.5 text-gray-400 transition-transform group-open:rotate-180" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
+              </svg>
+            </summary>
+            <div className="px-3 pb-3 text-gray-700">
+              <p className="whitespace-pre-wrap">{citation.excerpt}</p>
+              {url ? (
+                <a
+                  href={url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-block mt-2 text-blue-600 underline hover:text-blue-800"
+                >
+                  {t('chat.readSource')}
+                </a>
+              ) : citation.url && (
+                <p className="mt-2 text-xs text-gray-500 break-all">{citation.url}</p>
+              )}
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SourceCards;
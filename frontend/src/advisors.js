@@ -0,0 +1,197 @@
+// Advisor registry. Each entry holds everything the UI needs to present an
+// advisor; the id is also sent to the backend to select its system prompt.
+// Copy is given per UI language (see i18n.jsx) and `features` switches on
+// advisor-specific tools in the chat header. Theme values are complete
+// Tailwind class strings so the JIT compiler can find them in this file.
+export const advisors = [
+  {
+    id: 'agri',
+    icon: '🌾',
+    // Header colour of exported PDFs
+    brandColor: '#15803d',
+    features: ['farmerProfile', 'plantingCalendar', 'marketPrices', 'diagnosis'],
+    copy: {
+      en: {
+        name: 'AgriBot',
+        tagline: 'Agricultural Assistant',
+        cardTagline: 'Agricultural Intelligence Assistant',
+        cardDescription: 'Get expert advice on farming practices, crop management, and agricultural techniques specifically tailored for Kenyan conditions.',
+        title: 'Kenyan Agriculture Advisor',
+        subtitle: 'Ask about crops, diseases, weather, or market prices',
+        placeholder: 'Ask about Kenyan agriculture...',
+        loadingText: 'Analyzing your agricultural question...',
+        errorText: 'Sorry, I encountered an error processing your agricultural question. Please try again.',
+        welcomeMessage: "Hello! I'm your Kenyan Agriculture Advisor. Ask about crops, diseases, weather, or market prices.",
+        disclaimer: 'AgriBot gives general farming guidance. Confirm pesticide, drug and fertiliser use with your local extension officer or vet.',
+        suggestedPrompts: [
+          'When should I plant maize in Nakuru for the long rains?',
+          'How do I control fall armyworm on my maize?',
+          'Which dairy feeds give the best milk yield on a small farm?'
+        ]
+      },
+      sw: {
+        name: 'AgriBot',
+        tagline: 'Msaidizi wa Kilimo',
+        cardTagline: 'Msaidizi Mahiri wa Kilimo',
+        cardDescription: 'Pata ushauri wa kitaalamu kuhusu mbinu za kilimo, utunzaji wa mazao na teknolojia za kilimo zinazofaa hali ya Kenya.',
+        title: 'Mshauri wa Kilimo Kenya',
+        subtitle: 'Uliza kuhusu mazao, magonjwa, hali ya hewa au bei za soko',
+        placeholder: 'Uliza kuhusu kilimo nchini Kenya...',
+        loadingText: 'Inachambua swali lako la kilimo...',
+        errorText: 'Samahani, hitilafu imetokea wakati wa kushughulikia swali lako la kilimo. Tafadhali jaribu tena.',
+        welcomeMessage: 'Habari! Mimi ni Mshauri wako wa Kilimo. Uliza kuhusu mazao, magonjwa, hali ya hewa au bei za soko.',
+        disclaimer: 'AgriBot inatoa mwongozo wa jumla wa kilimo. Thibitisha matumizi ya dawa na mbolea na afisa ugani au daktari wa mifugo wa eneo lako.',
+        suggestedPrompts: [
+          'Nipande mahindi lini Nakuru msimu wa mvua ndefu?',
+          'Ninawezaje kudhibiti viwavi jeshi kwenye mahindi yangu?',
+          "Ni chakula gani cha ng'ombe wa maziwa kinachotoa maziwa mengi kwenye shamba dogo?"
+        ]
+      }
+    },
+    theme: {
+      spinner: 'border-green-600',
+      header: 'from-green-50 to-green-100',
+      headerButton: 'hover:bg-green-200 text-green-700',
+      title: 'text-green-800',
+      subtitle: 'text-green-600',
+      button: 'bg-green-600 hover:bg-green-700',
+      chatBackground: 'from-green-50/30',
+      userBubble: 'from-green-600 to-green-700',
+      userTimestamp: 'text-green-100',
+      focusRing: 'focus:ring-green-500',
+      sendButton: 'from-green-600 to-green-700 hover:from-green-700 hover:to-green-800',
+      chip: 'border-green-200 text-green-700 hover:bg-green-50',
+      card: 'from-green-50 to-green-100 border-green-200 hover:border-green-300',
+      cardHeader: 'bg-green-100',
+      cardTagline: 'text-green-700'
+    }
+  },
+  {
+    id: 'legal',
+    icon: '⚖️',
+    // Header colour of exported PDFs
+    brandColor: '#1d4ed8',
+    features: ['drafting'],
+    copy: {
+      en: {
+        name: 'LegalBot',
+        tagline: 'Legal Advisory Assistant',
+        cardTagline: 'Legal Advisory Assistant',
+        cardDescription: 'Navigate Kenyan laws and regulations with confidence. Get guidance on legal procedures, rights, and documentation.',
+        title: 'Kenyan Legal Advisor',
+        subtitle: "Ask about land rights, women's rights, ID/Passport issues, or legal disputes",
+        placeholder: 'Ask your legal question...',
+        loadingText: 'Analyzing your legal question...',
+        errorText: 'Sorry, I encountered an error processing your legal question. Please try again.',
+        welcomeMessage: "Hello! I'm your Kenyan Legal Advisor. I can help with legal questions specific to Kenyan law.",
+        disclaimer: 'LegalBot gives general information about Kenyan law, not legal advice. Consult an advocate about your situation.',
+        suggestedPrompts: [
+          'How do I transfer land after a parent dies without a will?',
+          'What rights does a wife have to matrimonial property?',
+          'How do I replace a lost national ID card?'
+        ]
+      },
+      sw: {
+        name: 'LegalBot',
+        tagline: 'Msaidizi wa Ushauri wa Kisheria',
+        cardTagline: 'Msaidizi wa Ushauri wa Kisheria',
+        cardDescription: 'Elewa sheria na kanuni za Kenya kwa ujasiri. Pata mwongozo kuhusu taratibu za kisheria, haki na nyaraka.',
+        title: 'Mshauri wa Sheria Kenya',
+        subtitle: 'Uliza kuhusu haki za ardhi, haki za wanawake, kitambulisho/pasipoti au migogoro ya kisheria',
+        placeholder: 'Uliza swali lako la kisheria...',
+        loadingText: 'Inachambua swali lako la kisheria...',
+        errorText: 'Samahani, hitilafu imetokea wakati wa kushughulikia swali lako la kisheria. Tafadhali jaribu tena.',
+        welcomeMessage: 'Habari! Mimi ni Mshauri wako wa Sheria. Ninaweza kukusaidia na maswali ya kisheria kuhusu sheria za Kenya.',
+        disclaimer: 'LegalBot inatoa taarifa za jumla kuhusu sheria za Kenya, si ushauri wa kisheria. Wasiliana na wakili kuhusu hali yako.',
+        suggestedPrompts: [
+          'Ninawezaje kuhamisha ardhi baada ya mzazi kufariki bila wosia?',
+          'Mke ana haki gani kwa mali ya ndoa?',
+          'Ninawezaje kupata kitambulisho kipya baada ya kukipoteza?'
+        ]
+      }
+    },
+    theme: {
+      spinner: 'border-blue-600',
+      header: 'from-blue-50 to-blue-100',
+      headerButton: 'hover:bg-blue-200 text-blue-700',
+      title: 'text-blue-800',
+      subtitle: 'text-blue-600',
+      button: 'bg-blue-600 hover:bg-blue-700',
+      chatBackground: 'from-blue-50/30',
+      userBubble: 'from-blue-600 to-blue-700',
+      userTimestamp: 'text-blue-100',
+      focusRing: 'focus:ring-blue-500',
+      sendButton: 'from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800',
+      chip: 'border-blue-200 text-blue-700 hover:bg-blue-50',
+      card: 'from-blue-50 to-blue-100 border-blue-200 hover:border-blue-300',
+      cardHeader: 'bg-blue-100',
+      cardTagline: 'text-blue-700'
+    }
+  },
+  {
+    id: 'business',
+    icon: '💼',
+    // Header colour of exported PDFs
+    brandColor: '#b45309',
+    features: [],
+    copy: {
+      en: {
+        name: 'BizBot',
+        tagline: 'Business & Tax Assistant',
+        cardTagline: 'Business & Tax Assistant',
+        cardDescription: 'Register a business, get your KRA PIN, set up eTIMS and apply for county permits with step-by-step guidance.',
+        title: 'Kenyan Business & Tax Advisor',
+        subtitle: 'Ask about KRA PIN, eTIMS, business permits, or company registration',
+        placeholder: 'Ask your business or tax question...',
+        loadingText: 'Analyzing your business question...',
+        errorText: 'Sorry, I encountered an error processing your business question. Please try again.',
+        welcomeMessage: "Hello! I'm your Kenyan Business & Tax Advisor. Ask about KRA PIN registration, eTIMS, single business permits, or registering a company on eCitizen.",
+        disclaimer: 'BizBot gives general guidance. Confirm tax and registration requirements with KRA, your county or a qualified accountant.',
+        suggestedPrompts: [
+          'How do I register for a KRA PIN as a sole proprietor?',
+          'Do I need eTIMS for my small shop?',
+          'How do I register a limited company on eCitizen?'
+        ]
+      },
+      sw: {
+        name: 'BizBot',
+        tagline: 'Msaidizi wa Biashara na Kodi',
+        cardTagline: 'Msaidizi wa Biashara na Kodi',
+        cardDescription: 'Sajili biashara, pata PIN ya KRA, weka eTIMS na uombe vibali vya kaunti kwa mwongozo wa hatua kwa hatua.',
+        title: 'Mshauri wa Biashara na Kodi Kenya',
+        subtitle: 'Uliza kuhusu PIN ya KRA, eTIMS, vibali vya biashara au usajili wa kampuni',
+        placeholder: 'Uliza swali lako la biashara au kodi...',
+        loadingText: 'Inachambua swali lako la biashara...',
+        errorText: 'Samahani, hitilafu imetokea wakati wa kushughulikia swali lako la biashara. Tafadhali jaribu tena.',
+        welcomeMessage: 'Habari! Mimi ni Mshauri wako wa Biashara na Kodi. Uliza kuhusu usajili wa PIN ya KRA, eTIMS, kibali cha biashara au kusajili kampuni kwenye eCitizen.',
+        disclaimer: 'BizBot inatoa mwongozo wa jumla. Thibitisha mahitaji ya kodi na usajili na KRA, kaunti yako au mhasibu aliyehitimu.',
+        suggestedPrompts: [
+          'Ninawezaje kujisajili kupata PIN ya KRA kama mfanyabiashara binafsi?',
+          'Je, ninahitaji eTIMS kwa duka langu dogo?',
+          'Ninawezaje kusajili kampuni kwenye eCitizen?'
+        ]
+      }
+    },
+    theme: {
+      spinner: 'border-amber-600',
+      header: 'from-amber-50 to-amber-100',
+      headerButton: 'hover:bg-amber-200 text-amber-700',
+      title: 'text-amber-800',
+      subtitle: 'text-amber-600',
+      button: 'bg-amber-600 hover:bg-amber-700',
+      chatBackground: 'from-amber-50/30',
+      userBubble: 'from-amber-600 to-amber-700',
+      userTimestamp: 'text-amber-100',
+      focusRing: 'focus:ring-amber-500',
+      sendButton: 'from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800',
+      chip: 'border-amber-200 text-amber-700 hover:bg-amber-50',
+      card: 'from-amber-50 to-amber-100 border-amber-200 hover:border-amber-300',
+      cardHeader: 'bg-amber-100',
+      cardTagline: 'text-amber-700'
+    }
+  }
+];
+
+export const advisorIds = advisors.map(advisor => advisor.id);
+
+export const getAdvisor = (id) => advisors.find(advisor => advisor.id === id);
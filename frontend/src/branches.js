@@ -0,0 +1,49 @@
+// Conversation branches. Editing a question or regenerating an answer forks
+// the conversation at that message: the message before the fork carries
+// `branches: { active, tails }`, where each tail is one branch from the fork
+// to its end. The active tail is kept empty because it is the rest of the
+// session's messages, so everything that reads `messages` sees the branch
+// on screen.
+
+// Replace the messages from `index` on with `tail`, keeping the old ones as a branch
+export const branchAt = (messages, index, tail) => {
+  const parent = messages[index - 1];
+  const tails = parent.branches ? [...parent.branches.tails] : [[]];
+  tails[parent.branches ? parent.branches.active : 0] = messages.slice(index);
+  tails.push([]);
+  return [
+    ...messages.slice(0, index - 1),
+    { ...parent, branches: { active: tails.length - 1, tails } },
+    ...tail
+  ];
+};
+
+// Show branch `choice` of the fork after messages[parentIndex]
+export const switchBranch = (messages, parentIndex, choice) => {
+  const parent = messages[parentIndex];
+  const { active, tails } = parent.branches;
+  if (choice === active || choice < 0 || choice >= tails.length) return messages;
+
+  const updated = [...tails];
+  updated[active] = messages.slice(parentIndex + 1);
+  const tail = updated[choice];
+  updated[choice] = [];
+  return [
+    ...messages.slice(0, parentIndex),
+    { ...parent, branches: { active: choice, tails: updated } },
+    ...tail
+  ];
+};
+
+// The branch each message is on, for keying data about a message that must not
+// follow it into another branch. Each entry lists the forks before the message
+// whose active branch is not the original one, as "fork:branch" pairs joined
+// by commas, so messages of the original conversation get ''.
+export const branchPaths = (messages) => {
+  const forks = [];
+  return messages.map((msg, i) => {
+    const path = forks.join(',');
+    if (msg.branches?.active > 0) forks.push(`${i}:${msg.branches.active}`);
+    return path;
+  });
+};
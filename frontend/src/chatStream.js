@@ -0,0 +1,141 @@
+import { ActorCallError } from '@dfinity/agent';
+import { fromStoredCitation } from './citations';
+
+// Delay between polls of a running generation job
+const POLL_INTERVAL_MS = 250;
+
+// Transient failures are retried this many times, waiting twice as long each time
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+// Longer waits, such as for a used-up quota, are left to the user
+const MAX_RETRY_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A failed chat request. `kind` names the backend ChatError variant
+// (rateLimited, unauthenticated, llmUnavailable, inputTooLong, historyTooLong,
+// invalidRequest), is 'rejected' when the canister rejected the call, e.g. for
+// an unknown job or a missing role, or is 'network' when the backend could not
+// be reached.
+export class ChatError extends Error {
+  constructor(kind, { message = kind, retryAfterSeconds = null, maxChars = null, maxMessages = null } = {}) {
+    super(message);
+    this.name = 'ChatError';
+    this.kind = kind;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.maxChars = maxChars;
+    this.maxMessages = maxMessages;
+  }
+
+  // Whether the same request may succeed if sent again later
+  get isTransient() {
+    return ['rateLimited', 'llmUnavailable', 'network'].includes(this.kind);
+  }
+}
+
+// Convert a backend ChatError variant such as { inputTooLong: { maxChars } }
+const fromVariant = (variant) => {
+  const [kind, value] = Object.entries(variant)[0];
+  switch (kind) {
+    case 'rateLimited':
+      return new ChatError(kind, { retryAfterSeconds: Number(value.retryAfterSeconds) });
+    case 'inputTooLong':
+      return new ChatError(kind, { maxChars: Number(value.maxChars) });
+    case 'historyTooLong':
+      return new ChatError(kind, { maxMessages: Number(value.maxMessages) });
+    default:
+      return new ChatError(kind, { message: typeof value === 'string' ? value : kind });
+  }
+};
+
+// Whether the canister rejected the call. The agent reports rejects of calls it
+// had to poll for as plain errors.
+const isReject = (err) => err instanceof ActorCallError || /^Call was rejected/.test(err?.message ?? '');
+
+// Call the backend. Rejects from the canister are final; only failures to
+// reach it become network errors, which are retried or queued.
+const call = async (makeCall) => {
+  try {
+    return await makeCall();
+  } catch (err) {
+    throw new ChatError(isReject(err) ? 'rejected' : 'network', { message: err.message });
+  }
+};
+
+// Start a generation job for a ChatRequest and poll it until it finishes,
+// calling onText with the reply once it arrives. The LLM canister cannot
+// stream, so the reply arrives whole when the job is done.
+// Transient failures are retried with exponential backoff (or after the
+// delay the backend asks for), calling onRetry(attempt, delayMs) before
+// each wait. A failed poll is retried for the same job; a new job is started
+// only if starting failed or the job itself failed. Aborting `signal` stops
+// further retries.
+// Resolves to { text, cancelled, summarizedCount, citations, promptVersion },
+// where summarizedCount is null for a cancelled request since it did not
+// change the session summary; rejects with a ChatError once the request
+// fails for good.
+export const streamChat = async (backend, request, { onJob, onText, onRetry, signal } = {}) => {
+  let attempt = 0;
+  let text = '';
+  const stopped = () => ({ text, cancelled: true, summarizedCount: null, citations: [], promptVersion: null });
+
+  // Wait before retrying a transient failure and rethrow any other.
+  // Resolves to false if the request was stopped while waiting.
+  const waitToRetry = async (err) => {
+    const error = err instanceof ChatError ? err : new ChatError('network', { message: err.message });
+    const delay = error.retryAfterSeconds ? error.retryAfterSeconds * 1000 : BASE_RETRY_DELAY_MS * 2 ** attempt;
+    if (!error.isTransient || attempt >= MAX_RETRIES || delay > MAX_RETRY_DELAY_MS) throw error;
+
+    attempt += 1;
+    if (onRetry) onRetry(attempt, delay);
+    await sleep(delay);
+    return !signal?.aborted;
+  };
+
+  for (;;) {
+    let jobId;
+    try {
+      const started = await call(() => backend.startChat(request));
+      if ('err' in started) throw fromVariant(started.err);
+      jobId = started.ok;
+    } catch (err) {
+      if (await waitToRetry(err)) continue;
+      return stopped();
+    }
+    if (onJob) onJob(jobId);
+
+    text = '';
+    let offset = 0n;
+    let failure = null;
+    while (!failure) {
+      let chunk;
+      try {
+        chunk = await call(() => backend.pollChat(jobId, offset));
+      } catch (err) {
+        // Polling again reads the same job, which keeps running meanwhile;
+        // starting a new one would charge the quota twice
+        if (await waitToRetry(err)) continue;
+        return stopped();
+      }
+      offset = chunk.nextOffset;
+
+      if (chunk.text) {
+        text += chunk.text;
+        if (onText) onText(text);
+      }
+
+      const citations = chunk.citations.map(fromStoredCitation);
+      const promptVersion = Number(chunk.promptVersion);
+      if ('done' in chunk.status) return { text, cancelled: false, summarizedCount: Number(chunk.summarizedCount), citations, promptVersion };
+      if ('cancelled' in chunk.status) return { text, cancelled: true, summarizedCount: null, citations, promptVersion };
+      if ('failed' in chunk.status) {
+        failure = fromVariant(chunk.status.failed);
+      } else {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+
+    // The job failed and its quota was refunded, so a transient failure starts a new job
+    if (!(await waitToRetry(failure))) return stopped();
+  }
+};
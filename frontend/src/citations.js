@@ -0,0 +1,32 @@
+// The URL if it is an http or https link, otherwise null. Citation URLs come
+// from saved sessions and imported files, so anything else, such as a
+// javascript: URL, must never become a link.
+export const safeUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+// Convert a citation between the frontend shape and the backend Citation record
+export const toStoredCitation = (citation) => ({
+  passageId: BigInt(citation.passageId),
+  source: citation.source,
+  section: citation.section,
+  title: citation.title,
+  excerpt: citation.excerpt,
+  url: citation.url ? [citation.url] : []
+});
+
+// Links that are not http or https are dropped: they can reach the backend
+// from sessions saved before it checked them, e.g. in shared snapshots
+export const fromStoredCitation = (stored) => ({
+  passageId: Number(stored.passageId),
+  source: stored.source,
+  section: stored.section,
+  title: stored.title,
+  excerpt: stored.excerpt,
+  url: stored.url.length > 0 ? safeUrl(stored.url[0]) : null
+});
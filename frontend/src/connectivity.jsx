@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+
+// Whether the browser reports a network connection, updated as it changes
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+// Register the service worker that caches the app shell. Skipped by the
+// development server so edits are never served from the cache.
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('./sw.js').catch(console.error);
+  });
+};
+
+// Online/offline pill for page headers
+export const ConnectionStatus = () => {
+  const { t } = useI18n();
+  const isOnline = useOnlineStatus();
+
+  return (
+    <span
+      className='flex items-center space-x-2 bg-white/20 backdrop-blur-sm px-3 py-2 rounded-lg text-sm font-medium text-white'
+      title={isOnline ? t('connection.onlineHint') : t('connection.offlineHint')}
+    >
+      <span className={`inline-block w-2 h-2 rounded-full ${isOnline ? 'bg-green-300' : 'bg-red-400 animate-pulse'}`}></span>
+      <span>{isOnline ? t('connection.online') : t('connection.offline')}</span>
+    </span>
+  );
+};
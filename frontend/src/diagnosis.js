@@ -0,0 +1,77 @@
+// Choices offered by the diagnosis wizard. Each option carries its label per
+// UI language; the English label is what is sent to the backend.
+
+export const affectedParts = {
+  crop: [
+    { en: 'Leaves', sw: 'Majani' },
+    { en: 'Stem', sw: 'Shina' },
+    { en: 'Roots', sw: 'Mizizi' },
+    { en: 'Fruit, cob or pods', sw: 'Matunda, gunzi au maganda' },
+    { en: 'Flowers', sw: 'Maua' },
+    { en: 'Whole plant', sw: 'Mmea mzima' }
+  ],
+  livestock: [
+    { en: 'Skin or coat', sw: 'Ngozi au manyoya' },
+    { en: 'Eyes', sw: 'Macho' },
+    { en: 'Mouth or feet', sw: 'Mdomo au miguu' },
+    { en: 'Udder', sw: 'Kiwele' },
+    { en: 'Digestion and dung', sw: "Mmeng'enyo na kinyesi" },
+    { en: 'Breathing', sw: 'Kupumua' },
+    { en: 'Whole animal or behaviour', sw: 'Mnyama mzima au tabia' }
+  ]
+};
+
+export const symptoms = {
+  crop: [
+    { en: 'Yellowing leaves', sw: 'Majani kugeuka manjano' },
+    { en: 'Brown or black spots', sw: 'Madoa ya kahawia au meusi' },
+    { en: 'Streaks or stripes on leaves', sw: 'Michirizi kwenye majani' },
+    { en: 'Wilting', sw: 'Kunyauka' },
+    { en: 'Holes or chewed leaves', sw: 'Majani yenye matundu au yaliyoliwa' },
+    { en: 'White powdery coating', sw: 'Unga mweupe juu ya majani' },
+    { en: 'Curling or twisted leaves', sw: 'Majani kujikunja' },
+    { en: 'Stunted growth', sw: 'Kudumaa' },
+    { en: 'Rotting stem or roots', sw: 'Shina au mizizi kuoza' },
+    { en: 'Rotting fruit or cobs', sw: 'Matunda au magunzi kuoza' },
+    { en: 'Visible insects or larvae', sw: 'Wadudu au viwavi wanaonekana' }
+  ],
+  livestock: [
+    { en: 'Fever', sw: 'Homa' },
+    { en: 'Loss of appetite', sw: 'Kukosa hamu ya kula' },
+    { en: 'Diarrhoea', sw: 'Kuhara' },
+    { en: 'Coughing', sw: 'Kukohoa' },
+    { en: 'Nasal discharge', sw: 'Makamasi' },
+    { en: 'Swelling', sw: 'Uvimbe' },
+    { en: 'Lameness', sw: 'Kuchechemea' },
+    { en: 'Sores or blisters', sw: 'Vidonda au malengelenge' },
+    { en: 'Drop in milk yield', sw: 'Kupungua kwa maziwa' },
+    { en: 'Weight loss', sw: 'Kupungua uzito' },
+    { en: 'Ticks or other external parasites', sw: 'Kupe au vimelea vingine' },
+    { en: 'Sudden deaths in the herd or flock', sw: 'Vifo vya ghafla kundini' }
+  ]
+};
+
+export const growthStages = {
+  crop: [
+    { en: 'Seedling', sw: 'Mche' },
+    { en: 'Vegetative growth', sw: 'Ukuaji wa majani' },
+    { en: 'Flowering', sw: 'Kutoa maua' },
+    { en: 'Fruiting or grain filling', sw: 'Kuzaa au kujaza nafaka' },
+    { en: 'Maturity', sw: 'Kukomaa' }
+  ],
+  livestock: [
+    { en: 'Young', sw: 'Mchanga' },
+    { en: 'Growing', sw: 'Anayekua' },
+    { en: 'Adult', sw: 'Mzima' },
+    { en: 'Pregnant', sw: 'Mjamzito' },
+    { en: 'Lactating', sw: 'Anayenyonyesha' }
+  ]
+};
+
+export const weatherConditions = [
+  { en: 'Normal for the season', sw: 'Kawaida kwa msimu' },
+  { en: 'Heavy rain', sw: 'Mvua kubwa' },
+  { en: 'Prolonged dry spell', sw: 'Kiangazi cha muda mrefu' },
+  { en: 'Hot and humid', sw: 'Joto na unyevu' },
+  { en: 'Cold nights or frost', sw: 'Usiku wa baridi au barafu' }
+];
@@ -0,0 +1,105 @@
+// Legal document templates offered by LegalBot's drafting mode. Field names
+// match the placeholders in backend/Templates.mo; labels are given per UI
+// language like the advisor copy in advisors.js.
+
+const field = (name, en, sw, type = 'text') => ({ name, type, label: { en, sw } });
+
+const date = field('date', 'Date', 'Tarehe', 'date');
+
+export const documentTemplates = [
+  {
+    id: 'landSale',
+    icon: '🏡',
+    copy: {
+      en: { name: 'Land sale agreement', description: 'Sale of a parcel of land between a vendor and a purchaser' },
+      sw: { name: 'Mkataba wa mauzo ya ardhi', description: 'Mauzo ya kipande cha ardhi kati ya muuzaji na mnunuzi' }
+    },
+    fields: [
+      date,
+      field('sellerName', "Seller's full name", 'Jina kamili la muuzaji'),
+      field('sellerIdNumber', "Seller's ID number", 'Nambari ya kitambulisho ya muuzaji'),
+      field('buyerName', "Buyer's full name", 'Jina kamili la mnunuzi'),
+      field('buyerIdNumber', "Buyer's ID number", 'Nambari ya kitambulisho ya mnunuzi'),
+      field('lrNumber', 'LR / title number', 'Nambari ya LR / hatimiliki'),
+      field('landSize', 'Land size (e.g. 0.5 acres)', 'Ukubwa wa ardhi (k.m. ekari 0.5)'),
+      field('county', 'County', 'Kaunti'),
+      field('purchasePrice', 'Purchase price (KES)', 'Bei ya kununua (KES)', 'number'),
+      field('deposit', 'Deposit paid on signing (KES)', 'Amana inayolipwa wakati wa kusaini (KES)', 'number'),
+      field('completionDate', 'Completion date', 'Tarehe ya kukamilisha', 'date')
+    ]
+  },
+  {
+    id: 'tenancy',
+    icon: '🔑',
+    copy: {
+      en: { name: 'Tenancy agreement', description: 'Renting a house, room or shop to a tenant' },
+      sw: { name: 'Mkataba wa upangaji', description: 'Kupangisha nyumba, chumba au duka kwa mpangaji' }
+    },
+    fields: [
+      date,
+      field('landlordName', "Landlord's full name", 'Jina kamili la mwenye nyumba'),
+      field('landlordIdNumber', "Landlord's ID number", 'Nambari ya kitambulisho ya mwenye nyumba'),
+      field('tenantName', "Tenant's full name", 'Jina kamili la mpangaji'),
+      field('tenantIdNumber', "Tenant's ID number", 'Nambari ya kitambulisho ya mpangaji'),
+      field('premises', 'Premises (house, plot, location)', 'Mahali (nyumba, ploti, eneo)'),
+      field('monthlyRent', 'Monthly rent (KES)', 'Kodi ya mwezi (KES)', 'number'),
+      field('deposit', 'Deposit (KES)', 'Amana (KES)', 'number'),
+      field('startDate', 'Start date', 'Tarehe ya kuanza', 'date'),
+      field('termMonths', 'Term in months', 'Muda kwa miezi', 'number'),
+      field('noticePeriod', 'Notice period (e.g. one month)', 'Muda wa notisi (k.m. mwezi mmoja)')
+    ]
+  },
+  {
+    id: 'affidavit',
+    icon: '📜',
+    copy: {
+      en: { name: 'General affidavit', description: 'A sworn statement of facts, e.g. for a lost document or change of name' },
+      sw: { name: 'Kiapo cha jumla', description: 'Taarifa ya ukweli iliyoapishwa, k.m. hati iliyopotea au kubadilisha jina' }
+    },
+    fields: [
+      field('deponentName', 'Your full name', 'Jina lako kamili'),
+      field('deponentIdNumber', 'Your ID number', 'Nambari yako ya kitambulisho'),
+      field('deponentAddress', 'Your address', 'Anwani yako'),
+      field('statements', 'Facts you are swearing to, one per line', 'Ukweli unaoapa, mmoja kwa kila mstari', 'textarea'),
+      field('place', 'Town where it will be sworn', 'Mji ambapo kitaapishwa'),
+      date
+    ]
+  },
+  {
+    id: 'demandLetter',
+    icon: '✉️',
+    copy: {
+      en: { name: 'Demand letter', description: 'Asking someone to pay money they owe you before you go to court' },
+      sw: { name: 'Barua ya madai', description: 'Kumtaka mtu alipe deni kabla ya kwenda mahakamani' }
+    },
+    fields: [
+      date,
+      field('senderName', 'Your full name', 'Jina lako kamili'),
+      field('recipientName', "Debtor's full name", 'Jina kamili la mdaiwa'),
+      field('recipientAddress', "Debtor's address", 'Anwani ya mdaiwa', 'textarea'),
+      field('amount', 'Amount owed (KES)', 'Kiasi kinachodaiwa (KES)', 'number'),
+      field('reason', 'What the money is for', 'Pesa ni za nini'),
+      field('deadlineDays', 'Days given to pay', 'Siku za kulipa', 'number')
+    ]
+  },
+  {
+    id: 'powerOfAttorney',
+    icon: '✍️',
+    copy: {
+      en: { name: 'Power of attorney', description: 'Letting someone act for you, e.g. to manage or sell property' },
+      sw: { name: 'Hati ya uwakilishi', description: 'Kumruhusu mtu akuwakilishe, k.m. kusimamia au kuuza mali' }
+    },
+    fields: [
+      date,
+      field('donorName', 'Your full name', 'Jina lako kamili'),
+      field('donorIdNumber', 'Your ID number', 'Nambari yako ya kitambulisho'),
+      field('attorneyName', "Attorney's full name", 'Jina kamili la mwakilishi'),
+      field('attorneyIdNumber', "Attorney's ID number", 'Nambari ya kitambulisho ya mwakilishi'),
+      field('powers', 'What the attorney may do', 'Mwakilishi anaweza kufanya nini', 'textarea'),
+      field('lrNumber', 'LR / title number, if about land', 'Nambari ya LR / hatimiliki, ikiwa ni ardhi'),
+      field('duration', 'How long it lasts', 'Muda wake')
+    ]
+  }
+];
+
+export const getDocumentTemplate = (id) => documentTemplates.find(template => template.id === id);
@@ -0,0 +1,190 @@
+import { Document, HeadingLevel, Packer, Paragraph, TextRun } from 'docx';
+import { jsPDF } from 'jspdf';
+
+// Split a Markdown draft into headings, list items and paragraphs. Only the
+// subset of Markdown the drafting prompt asks for is understood.
+const toBlocks = (markdown) => {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  for (const rawLine of markdown.split('\n')) {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    const numbered = line.match(/^(\d+)[.)]\s+(.*)$/);
+    if (!line) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+    } else if (bullet) {
+      flush();
+      blocks.push({ type: 'bullet', text: bullet[1] });
+    } else if (numbered) {
+      flush();
+      blocks.push({ type: 'numbered', number: numbered[1], text: numbered[2] });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+};
+
+// Split text on **bold** markers into runs
+const toRuns = (text) => text.split(/(\*\*[^*]+\*\*)/).filter(Boolean).map(part => (
+  part.startsWith('**') && part.endsWith('**')
+    ? { text: part.slice(2, -2), bold: true }
+    : { text: part.replace(/[*_]/g, ''), bold: false }
+));
+
+const plainText = (text) => toRuns(text).map(run => run.text).join('');
+
+// Save a blob as a file. The object URL is revoked after the click has been
+// handled, since revoking it straight away can cancel the download.
+export const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// File name for a draft title, e.g. "Tenancy agreement" -> "tenancy-agreement"
+const fileBase = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'document';
+
+const headingLevels = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+export const downloadDocx = async (title, markdown) => {
+  const children = toBlocks(markdown).map(block => {
+    const runs = toRuns(block.text).map(run => new TextRun(run));
+    switch (block.type) {
+      case 'heading':
+        return new Paragraph({ heading: headingLevels[Math.min(block.level, 3) - 1], children: runs });
+      case 'bullet':
+        return new Paragraph({ bullet: { level: 0 }, children: runs });
+      case 'numbered':
+        return new Paragraph({ children: [new TextRun(`${block.number}. `), ...runs], indent: { left: 360, hanging: 360 } });
+      default:
+        return new Paragraph({ children: runs, spacing: { after: 160 } });
+    }
+  });
+
+  const doc = new Document({ title, sections: [{ children }] });
+  download(await Packer.toBlob(doc), `${fileBase(title)}.docx`);
+};
+
+// Text writer for a jsPDF document that wraps lines and starts new pages
+const pdfWriter = (pdf) => {
+  const margin = 56;
+  const width = pdf.internal.pageSize.getWidth() - margin * 2;
+  const bottom = pdf.internal.pageSize.getHeight() - margin;
+  const writer = { margin, y: margin };
+
+  writer.write = (text, { size = 11, bold = false, italic = false, color = '#000000', indent = 0, gap = 8 } = {}) => {
+    pdf.setFont('times', bold ? 'bold' : italic ? 'italic' : 'normal');
+    pdf.setFontSize(size);
+    pdf.setTextColor(color);
+    const lineHeight = size * 1.4;
+    for (const line of pdf.splitTextToSize(text, width - indent)) {
+      if (writer.y + lineHeight > bottom) {
+        pdf.addPage();
+        writer.y = margin;
+      }
+      pdf.text(line, margin + indent, writer.y);
+      writer.y += lineHeight;
+    }
+    writer.y += gap;
+  };
+
+  writer.writeMarkdown = (markdown, { indent = 0 } = {}) => {
+    for (const block of toBlocks(markdown)) {
+      const text = plainText(block.text);
+      switch (block.type) {
+        case 'heading':
+          writer.write(text, { size: block.level === 1 ? 16 : 13, bold: true, indent, gap: 10 });
+          break;
+        case 'bullet':
+          writer.write(`•  ${text}`, { indent: indent + 14, gap: 4 });
+          break;
+        case 'numbered':
+          writer.write(`${block.number}.  ${text}`, { indent: indent + 14, gap: 4 });
+          break;
+        default:
+          writer.write(text, { indent });
+      }
+    }
+  };
+
+  return writer;
+};
+
+export const downloadPdf = (title, markdown) => {
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+  pdfWriter(pdf).writeMarkdown(markdown);
+  pdf.save(`${fileBase(title)}.pdf`);
+};
+
+export const downloadMarkdown = (title, markdown) => {
+  download(new Blob([markdown], { type: 'text/markdown' }), `${fileBase(title)}.md`);
+};
+
+export const downloadJson = (title, data) => {
+  download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${fileBase(title)}.json`);
+};
+
+// Render a conversation as a PDF with the advisor's name and colour in a
+// header band and the disclaimer at the end. `messages` are { speaker,
+// isUser, time, content, sources }, with Markdown content and sources as
+// display strings.
+export const downloadConversationPdf = ({ title, advisorName, brandColor, subtitle, messages, sourcesLabel, disclaimer }) => {
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const writer = pdfWriter(pdf);
+  const bandHeight = 64;
+
+  pdf.setFillColor(brandColor);
+  pdf.rect(0, 0, pageWidth, bandHeight, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.setTextColor('#ffffff');
+  pdf.text(advisorName, writer.margin, bandHeight / 2 + 6);
+  writer.y = bandHeight + 36;
+
+  writer.write(title, { size: 16, bold: true, gap: 2 });
+  writer.write(subtitle, { size: 9, color: '#6b7280', gap: 16 });
+
+  for (const message of messages) {
+    writer.write(message.time ? `${message.speaker} · ${message.time}` : message.speaker, {
+      size: 10,
+      bold: true,
+      color: message.isUser ? '#374151' : brandColor,
+      gap: 4
+    });
+    writer.writeMarkdown(message.content, { indent: 8 });
+    if (message.sources.length > 0) {
+      writer.write(sourcesLabel, { size: 9, bold: true, color: '#6b7280', indent: 8, gap: 2 });
+      message.sources.forEach((source, i) => writer.write(`[${i + 1}] ${source}`, { size: 9, color: '#6b7280', indent: 8, gap: 2 }));
+    }
+    writer.y += 8;
+  }
+
+  writer.write(disclaimer, { size: 9, italic: true, color: '#6b7280' });
+
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor('#9ca3af');
+    pdf.text(`${page} / ${pageCount}`, pageWidth - writer.margin, pageHeight - 28, { align: 'right' });
+  }
+
+  pdf.save(`${fileBase(title)}.pdf`);
+};
@@ -0,0 +1,85 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import en from './locales/en';
+import sw from './locales/sw';
+
+const catalogs = { en, sw };
+
+// Languages offered in the switcher. `code` is stored on sessions and sent to
+// the backend; `strings` names the UI catalog (Sheng answers use the Swahili UI).
+export const languages = [
+  { code: 'en', label: 'English', strings: 'en', locale: 'en-KE' },
+  { code: 'sw', label: 'Kiswahili', strings: 'sw', locale: 'sw-KE' },
+  { code: 'sheng', label: 'Sheng', strings: 'sw', locale: 'sw-KE' }
+];
+
+const STORAGE_KEY = 'language';
+
+const findLanguage = (code) => languages.find(language => language.code === code) || languages[0];
+
+// Look up a dotted key such as 'chat.send' in a catalog
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// I18n Context for the selected language and translated strings
+const I18nContext = createContext();
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within a LanguageProvider');
+  }
+  return context;
+};
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguage] = useState(() => findLanguage(localStorage.getItem(STORAGE_KEY)).code);
+  const current = findLanguage(language);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, language);
+    document.documentElement.lang = current.strings;
+  }, [language]);
+
+  // Translate a key, falling back to English, and fill {placeholders} from params
+  const t = (key, params = {}) => {
+    const template = lookup(catalogs[current.strings], key) ?? lookup(catalogs.en, key) ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  };
+
+  // Pick the entry for the current UI language from a { en, sw } map
+  const localize = (byLanguage) => byLanguage[current.strings] ?? byLanguage.en;
+
+  const value = {
+    language,
+    setLanguage,
+    locale: current.locale,
+    t,
+    localize
+  };
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
+
+// Language dropdown for page headers
+export const LanguageSwitcher = ({ className = '' }) => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <select
+      value={language}
+      onChange={(e) => setLanguage(e.target.value)}
+      aria-label={t('language')}
+      title={t('language')}
+      className={`rounded-lg px-3 py-2 text-sm font-medium focus:outline-none focus:ring-2 cursor-pointer ${className}`}
+    >
+      {languages.map(({ code, label }) => (
+        <option key={code} value={code} className="text-gray-800">
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+};
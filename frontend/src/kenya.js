@@ -0,0 +1,22 @@
+// Reference data about Kenya shared by forms and views
+
+// The 47 counties, in official county code order
+export const counties = [
+  'Mombasa', 'Kwale', 'Kilifi', 'Tana River', 'Lamu', 'Taita-Taveta', 'Garissa', 'Wajir',
+  'Mandera', 'Marsabit', 'Isiolo', 'Meru', 'Tharaka-Nithi', 'Embu', 'Kitui', 'Machakos',
+  'Makueni', 'Nyandarua', 'Nyeri', 'Kirinyaga', "Murang'a", 'Kiambu', 'Turkana', 'West Pokot',
+  'Samburu', 'Trans Nzoia', 'Uasin Gishu', 'Elgeyo-Marakwet', 'Nandi', 'Baringo', 'Laikipia', 'Nakuru',
+  'Narok', 'Kajiado', 'Kericho', 'Bomet', 'Kakamega', 'Vihiga', 'Bungoma', 'Busia',
+  'Siaya', 'Kisumu', 'Homa Bay', 'Migori', 'Kisii', 'Nyamira', 'Nairobi'
+];
+
+// Main agro-ecological zones used by Kenyan extension services
+export const agroEcologicalZones = [
+  { code: 'TA', name: 'Tropical Alpine' },
+  { code: 'UH', name: 'Upper Highland' },
+  { code: 'LH', name: 'Lower Highland' },
+  { code: 'UM', name: 'Upper Midland' },
+  { code: 'LM', name: 'Lower Midland' },
+  { code: 'IL', name: 'Inland Lowland' },
+  { code: 'CL', name: 'Coastal Lowland' }
+];
@@ -0,0 +1,429 @@
+// English UI strings. Keys mirror sw.js; use {name} placeholders for values.
+export default {
+  appName: 'Kenyan Advisory Services',
+  language: 'Language',
+  landing: {
+    signInPrompt: 'Please sign in with Internet Identity to access agricultural, legal and business advisory services.',
+    signIn: 'Sign In with Internet Identity',
+    featuresTitle: "Why You'll Love Our Services",
+    featuresSubtitle: 'Empowering Kenyan farmers and citizens with cutting-edge AI technology',
+    farmingTitle: 'Smart Farming Advice',
+    farmingText: 'Get personalized crop recommendations, planting schedules, and pest control solutions for Kenyan conditions.',
+    legalTitle: 'Legal Guidance',
+    legalText: 'Understand your rights, navigate legal processes, and get help with documents - all specific to Kenyan law.',
+    privacyTitle: 'Secure & Private',
+    privacyText: 'Your data stays private with blockchain-powered Internet Identity. No passwords, no tracking.',
+    testimonialsTitle: 'Trusted by Kenyan Farmers & Citizens',
+    testimonialsSubtitle: 'Real stories from real users',
+    farmerRole: 'Smallholder Farmer, Nakuru',
+    farmerQuote: '"AgriBot helped me double my maize yield with simple tips tailored for our region. Now I can support my family better!"',
+    ownerRole: 'Business Owner, Nairobi',
+    ownerQuote: '"LegalBot guided me through land title processing that would have cost me thousands in lawyer fees. Incredible service!"',
+    ctaTitle: 'Ready to Get Started?',
+    ctaText: 'Join thousands of Kenyans who are making better decisions with our AI advisors.',
+    ctaButton: 'Sign Up Free with Internet Identity',
+    copyright: '© {year} Kenyan Advisory Services. All rights reserved.'
+  },
+  home: {
+    title: '🌾 Kenyan Agriculture, Legal and Business Advisor',
+    subtitle: 'Your AI-powered assistant for agricultural guidance, legal advice and business registration in Kenya',
+    startWith: 'Start with {name}',
+    authenticatedAs: 'Authenticated as: {principal}',
+    logout: 'Logout',
+    poweredBy: 'Powered by Internet Identity • Built for Kenya',
+    backToHome: 'Back to Home'
+  },
+  chat: {
+    history: 'Chat History',
+    newChat: 'New Chat',
+    startNewChat: 'Start New Chat',
+    numberedTitle: 'Chat {count}',
+    initializing: 'Initializing chat...',
+    stop: 'Hide reply',
+    stopTitle: 'Stop waiting and hide this answer. It is still generated and counts towards your hourly limit.',
+    thinking: 'Thinking...',
+    send: 'Send',
+    retrying: 'Connection problem, trying again (attempt {attempt})...',
+    retry: 'Retry',
+    editMessage: 'Edit message',
+    queued: 'Queued, will be sent when you are back online',
+    sendingQueued: 'Sending...',
+    editQuestion: 'Edit',
+    cancelEdit: 'Cancel',
+    saveAndSend: 'Save & send',
+    regenerate: 'Regenerate',
+    regenerateHint: 'Ask again for a new answer; the current one is kept as a branch',
+    branchHint: 'Versions of the conversation from this message on',
+    previousBranch: 'Previous version',
+    nextBranch: 'Next version',
+    errors: {
+      rateLimited: 'Too many questions right now. Try again in {seconds} seconds.',
+      quotaReached: 'You have used your message allowance. It renews in about {minutes} minutes.',
+      historyTooLong: 'This conversation is too long to continue. Start a new chat.',
+      unauthenticated: 'Your sign-in has expired. Please sign in again.',
+      llmUnavailable: 'The advisor is unavailable right now.',
+      inputTooLong: 'This message is too long. Keep it under {max} characters.',
+      network: 'Could not reach the service. Check your connection.',
+      cancelled: 'Hidden before the answer arrived.'
+    },
+    summarized: '{count} earlier messages summarised',
+    summarizedHint: 'The advisor now sees a summary of the messages above instead of their full text',
+    sources: 'Sources',
+    readSource: 'Read the full text'
+  },
+  history: {
+    confirmDelete: 'Are you sure you want to delete this chat session?',
+    today: 'Today',
+    yesterday: 'Yesterday',
+    daysAgo: '{count} days ago',
+    messages: '{count} messages',
+    empty: 'No chat sessions yet',
+    emptyHint: 'Start a new conversation!',
+    searchPlaceholder: 'Search chats...',
+    allAdvisors: 'All advisors',
+    filters: 'Filters',
+    filtersActive: 'Filters ({count})',
+    from: 'From',
+    to: 'To',
+    clearFilters: 'Clear filters',
+    noMatches: 'No chats match your search',
+    pinned: 'Pinned',
+    pin: 'Pin to top',
+    unpin: 'Unpin',
+    rename: 'Rename',
+    renamePlaceholder: 'Leave empty for the automatic title',
+    editTags: 'Edit tags',
+    addTag: 'Add tag',
+    removeTag: 'Remove tag',
+    filterByTag: 'Show chats with this tag',
+    delete: 'Delete',
+    export: 'Export',
+    exportAs: 'Download as',
+    formats: {
+      pdf: 'PDF',
+      markdown: 'Markdown',
+      json: 'JSON'
+    },
+    you: 'You',
+    exported: 'Exported',
+    exportAll: 'Export all chats',
+    import: 'Import chats',
+    imported: 'Imported {imported} chats; skipped {skipped} already here or unreadable.',
+    importError: 'Could not import this file: {reason}'
+  },
+  calendar: {
+    open: 'Planting calendar',
+    title: 'Planting Calendar',
+    intro: 'Planting windows for the next 12 months in your county.',
+    close: 'Close',
+    crop: 'Crop',
+    loading: 'Loading calendar...',
+    loadError: 'Could not load the planting calendar. Please try again.',
+    empty: 'No planting windows have been added for {county} yet.',
+    longRains: 'Long rains',
+    shortRains: 'Short rains',
+    varieties: 'Varieties',
+    fertilizer: 'Fertiliser',
+    notes: 'Notes',
+    varietiesHint: 'Varieties, separated by commas',
+    startMonth: 'First planting month',
+    endMonth: 'Last planting month',
+    adminTitle: 'Add planting windows',
+    add: 'Add',
+    added: 'Added {crop} for {county}',
+    saveError: 'Could not save the planting window. Please check it and try again.'
+  },
+  prices: {
+    open: 'Prices',
+    title: 'Market Prices',
+    intro: 'Recent prices in Kenyan Shillings from major markets.',
+    loading: 'Loading prices...',
+    loadError: 'Could not load market prices. Please try again.',
+    empty: 'No market prices have been added yet.',
+    commodity: 'Commodity',
+    market: 'Market',
+    unit: 'Unit',
+    price: 'Price (KES)',
+    latest: 'Latest price',
+    date: 'Date',
+    adminTitle: 'Add prices',
+    add: 'Add',
+    import: 'Import a CSV file with columns commodity, market, unit, price, date (YYYY-MM-DD)',
+    added: 'Added {count} prices',
+    saveError: 'Could not save the prices. Please check them and try again.',
+    csvError: 'The CSV file has a problem on line {line}'
+  },
+  diagnosis: {
+    open: 'Diagnose',
+    title: 'Disease Diagnosis',
+    step: 'Step {step} of {total}',
+    resultIntro: 'Likely causes based on the symptoms you described',
+    crop: 'Crop',
+    livestock: 'Livestock',
+    cropName: 'Which crop is affected?',
+    livestockName: 'Which animal is affected?',
+    cropHint: 'e.g. maize, tomatoes',
+    livestockHint: 'e.g. dairy cow, chickens',
+    partQuestion: 'Which part is affected?',
+    symptomsQuestion: 'What do you see? Choose all that apply.',
+    otherSymptoms: 'Other symptoms (optional)',
+    cropStage: 'What stage is the crop at?',
+    livestockStage: 'How old is the animal, or what state is it in?',
+    weatherQuestion: 'What has the weather been like recently?',
+    notes: 'Anything else? (optional)',
+    notesHint: 'e.g. how many plants or animals are affected, when it started, what you have tried',
+    photo: 'Photo (optional)',
+    photoHint: 'The photo stays on your device for your records; the diagnosis is based on the symptoms you chose.',
+    back: 'Back',
+    next: 'Next',
+    diagnose: 'Diagnose',
+    diagnosing: 'Diagnosing...',
+    error: 'Could not get a diagnosis. Please try again.',
+    confidence: '{percent}% likely',
+    likelyCauses: 'Likely causes',
+    treatments: 'Recommended treatment',
+    extension: 'When to call an extension officer',
+    disclaimer: 'This is guidance, not a confirmed diagnosis. Use only PCPB-registered products as directed on the label.',
+    startOver: 'Start over',
+    addToChat: 'Add to chat',
+    requestPrefix: 'Diagnosis',
+    growthStage: 'Stage',
+    weather: 'Weather'
+  },
+  drafting: {
+    open: 'Draft a document',
+    title: 'Document Drafting',
+    libraryIntro: 'Choose a template or open a saved draft.',
+    formIntro: 'Fill in the details. Leave anything you do not know yet blank.',
+    editorIntro: 'Review and edit the draft, then save or download it.',
+    savedDrafts: 'Your drafts',
+    noDrafts: 'You have no saved drafts yet.',
+    updated: 'Updated {date}',
+    delete: 'Delete draft',
+    confirmDelete: 'Are you sure you want to delete this draft?',
+    blankHint: 'Blank fields are marked [to be completed] in the draft.',
+    generate: 'Draft document',
+    drafting: 'Drafting...',
+    draftError: 'Could not draft the document. Please try again.',
+    documentTitle: 'Document title',
+    edit: 'Edit text',
+    preview: 'Preview',
+    library: 'All templates',
+    editDetails: 'Change details',
+    save: 'Save draft',
+    saved: 'Draft saved to your account',
+    saveError: 'Could not save the draft. Please try again.',
+    downloadError: 'Could not create the file. Please try again.',
+    disclaimer: 'This draft is a starting point, not legal advice. Have an advocate review it before anyone signs.'
+  },
+  quota: {
+    label: 'Messages left today',
+    hourly: '{remaining} of {limit} messages left this hour',
+    dailyReached: 'Daily limit reached. Renews in {wait}.',
+    hourlyReached: 'Hourly limit reached. Try again in {wait}.',
+    minutes: '{count} min',
+    hours: '{count} h'
+  },
+  admin: {
+    open: 'Admin console',
+    title: 'Admin Console',
+    subtitle: 'Usage, feedback, prompts, limits and staff for the advisory services',
+    loading: 'Loading...',
+    loadError: 'Could not load this page. Please try again.',
+    tabs: {
+      analytics: 'Analytics',
+      feedback: 'Feedback',
+      prompts: 'Prompts',
+      knowledge: 'Knowledge base',
+      limits: 'Usage limits',
+      staff: 'Staff'
+    },
+    lastDays: 'Last {count} days',
+    requests: 'Requests',
+    activeUsers: 'Active users',
+    averageLatency: 'Average response time',
+    errorRate: 'Error rate',
+    seconds: '{count} s',
+    requestsPerDay: 'Requests per day',
+    perAdvisor: 'By advisor',
+    advisor: 'Advisor',
+    rejected: 'Refused',
+    rejectedHint: 'Requests refused before reaching the model, for example over quota or too long',
+    topTopics: 'Most asked topics',
+    noTopics: 'No questions have been asked in this period.',
+    prompts: {
+      builtIn: 'Built-in prompt',
+      version: 'Version {version}',
+      history: 'Versions',
+      active: 'Active',
+      candidate: 'Candidate for {percent}% of users',
+      noNote: 'No note',
+      edit: 'Edit a copy',
+      activate: 'Make active',
+      rollBack: 'Roll back to this',
+      editor: 'Prompt text',
+      notePlaceholder: 'What changed and why',
+      save: 'Save as new version',
+      saveHint: 'Saving does not change any answers until the version is made active or put in an experiment.',
+      saved: 'Version saved',
+      activated: 'Active version changed',
+      sandbox: 'Test this prompt',
+      sandboxHint: 'Answers one question with the text in the editor, without saving it. The answer is not stored or counted.',
+      question: 'Question to ask',
+      test: 'Test',
+      testing: 'Testing...',
+      testError: 'Could not test the prompt. Please try again.',
+      experiment: 'A/B experiment',
+      experimentHint: 'Give a candidate version to a share of users. Each user keeps getting the same version, and every answer records the version that produced it.',
+      experimentRunning: '{version} is answering {percent}% of users.',
+      chooseCandidate: 'Choose a candidate version',
+      percentOfUsers: '% of users',
+      startExperiment: 'Start experiment',
+      endExperiment: 'End experiment',
+      experimentStarted: 'Experiment started',
+      experimentEnded: 'Experiment ended',
+      compare: 'Compare versions'
+    },
+    knowledge: {
+      intro: 'Statute excerpts LegalBot retrieves and cites in its answers. Copy the text from the official version of the law, since answers quote it.',
+      addTitle: 'Add a passage',
+      editTitle: 'Edit passage',
+      source: 'Law, e.g. Land Act, 2012',
+      section: 'Section, e.g. Section 7',
+      title: 'Title (optional)',
+      url: 'Link to the official text (optional)',
+      text: 'Text of the passage',
+      add: 'Add passage',
+      cancel: 'Cancel',
+      import: 'Import JSON',
+      importHint: 'A JSON file with a list of passages, each with source, section, title, text and an optional url.',
+      importInvalid: 'The file is not a JSON list of passages.',
+      importError: 'Passage {entry} in the file has no source or text.',
+      added: 'Added {count} passages',
+      deleted: 'Passage deleted',
+      confirmDelete: 'Delete this passage? LegalBot will stop citing it.',
+      passages: '{count} passages',
+      search: 'Search passages',
+      empty: 'No passages have been added yet.',
+      noMatches: 'No passages match the search.',
+      edit: 'Edit',
+      delete: 'Delete',
+      updated: 'Updated {date}'
+    },
+    feedback: {
+      intro: 'Answers users have rated. Confirm the ones that are wrong to include them in evaluation sets, or dismiss them.',
+      allStatuses: 'Any status',
+      allAdvisors: 'All advisors',
+      allRatings: 'Any rating',
+      statuses: {
+        pending: 'To review',
+        confirmed: 'Confirmed wrong',
+        dismissed: 'Dismissed'
+      },
+      ratings: {
+        down: 'Thumbs down',
+        up: 'Thumbs up'
+      },
+      answer: 'Answer given',
+      correction: 'Suggested correction',
+      notePlaceholder: 'Reviewer note (optional)',
+      confirm: 'Confirm wrong',
+      dismiss: 'Dismiss',
+      export: 'Export {count} as JSONL',
+      empty: 'No feedback matches these filters.',
+      shown: 'Showing {count} of {total}',
+      loadMore: 'Load more'
+    },
+    limitsIntro: 'Limits apply to every signed-in user and take effect immediately.',
+    limits: {
+      hourlyMessages: 'Messages per hour',
+      dailyMessages: 'Messages per day',
+      maxMessageChars: 'Longest message (characters)',
+      maxHistoryMessages: 'Longest conversation (messages)'
+    },
+    save: 'Save',
+    saving: 'Saving...',
+    saved: 'Saved',
+    saveError: 'Could not save the changes. Please try again.',
+    staffIntro: 'Admins manage content, settings and staff; analysts can only view analytics, and reviewers triage answer feedback. Canister controllers are always admins, and only they can grant or revoke the admin role.',
+    noStaff: 'No roles have been granted yet.',
+    principal: 'Principal',
+    roles: {
+      admin: 'Admin',
+      analyst: 'Analyst',
+      reviewer: 'Reviewer'
+    },
+    grant: 'Grant role',
+    revoke: 'Revoke',
+    invalidPrincipal: 'That is not a valid principal.',
+    roleError: 'Could not change the role. Only controllers can grant or revoke admin rights.'
+  },
+  feedback: {
+    helpful: 'Helpful',
+    notHelpful: 'Not helpful',
+    thanks: 'Thanks for your feedback',
+    whatWasWrong: 'What was wrong? (optional)',
+    reasons: {
+      wrongLaw: 'Wrong law',
+      outdated: 'Outdated',
+      unsafe: 'Unsafe',
+      notKenyan: 'Not Kenyan'
+    },
+    correction: 'What should the answer say? (optional)',
+    cancel: 'Cancel',
+    send: 'Send',
+    error: 'Could not send your feedback. Please try again.'
+  },
+  connection: {
+    online: 'Online',
+    offline: 'Offline',
+    onlineHint: 'Connected. Your chats are saved to your account.',
+    offlineHint: 'No connection. Saved chats are still readable and new questions are sent when you reconnect.'
+  },
+  share: {
+    share: 'Share link',
+    creating: 'Creating share link...',
+    error: 'Could not create a share link. Check your connection and try again.',
+    snapshotHint: 'Anyone with the link can read this chat as it is now. Later messages are not shared.',
+    copy: 'Copy',
+    copied: 'Copied!',
+    manage: 'Shared links',
+    loading: 'Loading...',
+    noLinks: 'You have not shared any chats.',
+    loadLinksError: 'Could not load your shared links.',
+    revoke: 'Revoke',
+    confirmRevoke: 'Revoke this link? Anyone who has it will no longer be able to open the chat.',
+    revokeError: 'Could not revoke the link. Please try again.',
+    loadError: 'Could not load this shared chat. Please try again later.',
+    notFound: 'This shared chat does not exist or the link was revoked.',
+    openApp: 'Open the app',
+    sharedOn: 'Shared on {date}',
+    readOnly: 'Read only',
+    continue: 'Continue in your own chat',
+    continueHint: 'After you sign in, the conversation is copied into a new chat of your own where you can ask follow-up questions.'
+  },
+  profile: {
+    setUp: 'Set up farm profile',
+    edit: 'Edit farm profile',
+    title: 'Your Farm Profile',
+    intro: 'AgriBot uses this to tailor every answer to your farm.',
+    county: 'County',
+    chooseCounty: 'Choose your county',
+    zone: 'Agro-ecological zone',
+    unknownZone: 'Not sure',
+    crops: 'Crops',
+    cropsHint: 'Separate with commas, e.g. maize, beans',
+    livestock: 'Livestock',
+    livestockHint: 'Separate with commas, e.g. dairy cows, poultry',
+    farmSize: 'Farm size (acres)',
+    irrigation: 'Irrigation',
+    rainfed: 'Rain-fed only',
+    partial: 'Partly irrigated',
+    full: 'Fully irrigated',
+    acres: '{count} acres',
+    save: 'Save profile',
+    saving: 'Saving...',
+    cancel: 'Cancel',
+    saveError: 'Could not save your profile. Please try again.'
+  }
+};
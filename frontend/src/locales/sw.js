@@ -0,0 +1,429 @@
+// Kiswahili UI strings. Keys mirror en.js; use {name} placeholders for values.
+export default {
+  appName: 'Huduma za Ushauri Kenya',
+  language: 'Lugha',
+  landing: {
+    signInPrompt: 'Tafadhali ingia kwa Internet Identity ili upate huduma za ushauri wa kilimo, sheria na biashara.',
+    signIn: 'Ingia kwa Internet Identity',
+    featuresTitle: 'Kwa Nini Utapenda Huduma Zetu',
+    featuresSubtitle: 'Tunawawezesha wakulima na wananchi wa Kenya kwa teknolojia ya kisasa ya AI',
+    farmingTitle: 'Ushauri Bora wa Kilimo',
+    farmingText: 'Pata mapendekezo ya mazao, ratiba za upanzi na njia za kudhibiti wadudu zinazofaa hali ya Kenya.',
+    legalTitle: 'Mwongozo wa Kisheria',
+    legalText: 'Elewa haki zako, fuata taratibu za kisheria na upate usaidizi wa nyaraka - yote kulingana na sheria za Kenya.',
+    privacyTitle: 'Salama na Faragha',
+    privacyText: 'Data yako inabaki kuwa siri kupitia Internet Identity inayotumia blockchain. Hakuna nywila, hakuna ufuatiliaji.',
+    testimonialsTitle: 'Tunaaminiwa na Wakulima na Wananchi wa Kenya',
+    testimonialsSubtitle: 'Hadithi halisi kutoka kwa watumiaji halisi',
+    farmerRole: 'Mkulima Mdogo, Nakuru',
+    farmerQuote: '"AgriBot ilinisaidia kuongeza mavuno yangu ya mahindi mara mbili kwa vidokezo rahisi vinavyofaa eneo letu. Sasa ninaweza kusaidia familia yangu vizuri zaidi!"',
+    ownerRole: 'Mfanyabiashara, Nairobi',
+    ownerQuote: '"LegalBot iliniongoza katika mchakato wa hati ya shamba ambao ungenigharimu maelfu ya shilingi kwa ada za wakili. Huduma ya ajabu!"',
+    ctaTitle: 'Uko Tayari Kuanza?',
+    ctaText: 'Jiunge na maelfu ya Wakenya wanaofanya maamuzi bora kwa msaada wa washauri wetu wa AI.',
+    ctaButton: 'Jisajili Bure kwa Internet Identity',
+    copyright: '© {year} Huduma za Ushauri Kenya. Haki zote zimehifadhiwa.'
+  },
+  home: {
+    title: '🌾 Mshauri wa Kilimo, Sheria na Biashara Kenya',
+    subtitle: 'Msaidizi wako wa AI kwa mwongozo wa kilimo, ushauri wa kisheria na usajili wa biashara nchini Kenya',
+    startWith: 'Anza na {name}',
+    authenticatedAs: 'Umeingia kama: {principal}',
+    logout: 'Toka',
+    poweredBy: 'Inaendeshwa na Internet Identity • Imejengwa kwa ajili ya Kenya',
+    backToHome: 'Rudi Mwanzo'
+  },
+  chat: {
+    history: 'Historia ya Mazungumzo',
+    newChat: 'Mazungumzo Mapya',
+    startNewChat: 'Anza Mazungumzo Mapya',
+    numberedTitle: 'Mazungumzo {count}',
+    initializing: 'Inaandaa mazungumzo...',
+    stop: 'Ficha jibu',
+    stopTitle: 'Acha kusubiri na ufiche jibu hili. Bado litatengenezwa na kuhesabiwa katika kikomo chako cha saa.',
+    thinking: 'Inafikiri...',
+    send: 'Tuma',
+    retrying: 'Tatizo la mtandao, inajaribu tena (jaribio {attempt})...',
+    retry: 'Jaribu tena',
+    editMessage: 'Hariri ujumbe',
+    queued: 'Imewekwa kwenye foleni, itatumwa ukirudi mtandaoni',
+    sendingQueued: 'Inatuma...',
+    editQuestion: 'Hariri',
+    cancelEdit: 'Ghairi',
+    saveAndSend: 'Hifadhi na utume',
+    regenerate: 'Jibu upya',
+    regenerateHint: 'Uliza tena upate jibu jipya; jibu la sasa linabaki kama tawi',
+    branchHint: 'Matoleo ya mazungumzo kuanzia ujumbe huu',
+    previousBranch: 'Toleo lililotangulia',
+    nextBranch: 'Toleo linalofuata',
+    errors: {
+      rateLimited: 'Maswali ni mengi sasa hivi. Jaribu tena baada ya sekunde {seconds}.',
+      quotaReached: 'Umetumia kiwango chako cha ujumbe. Kitarejea baada ya takriban dakika {minutes}.',
+      historyTooLong: 'Mazungumzo haya ni marefu mno kuendelea. Anza mazungumzo mapya.',
+      unauthenticated: 'Muda wako wa kuingia umeisha. Tafadhali ingia tena.',
+      llmUnavailable: 'Mshauri hapatikani kwa sasa.',
+      inputTooLong: 'Ujumbe huu ni mrefu mno. Usizidi herufi {max}.',
+      network: 'Imeshindwa kufikia huduma. Angalia muunganisho wako.',
+      cancelled: 'Limefichwa kabla jibu halijafika.'
+    },
+    summarized: 'Ujumbe {count} wa awali umefupishwa',
+    summarizedHint: 'Mshauri sasa anaona muhtasari wa ujumbe ulio juu badala ya maandishi yake kamili',
+    sources: 'Vyanzo',
+    readSource: 'Soma maandishi kamili'
+  },
+  history: {
+    confirmDelete: 'Una uhakika unataka kufuta mazungumzo haya?',
+    today: 'Leo',
+    yesterday: 'Jana',
+    daysAgo: 'Siku {count} zilizopita',
+    messages: 'Ujumbe {count}',
+    empty: 'Bado hakuna mazungumzo',
+    emptyHint: 'Anza mazungumzo mapya!',
+    searchPlaceholder: 'Tafuta mazungumzo...',
+    allAdvisors: 'Washauri wote',
+    filters: 'Vichujio',
+    filtersActive: 'Vichujio ({count})',
+    from: 'Kuanzia',
+    to: 'Hadi',
+    clearFilters: 'Ondoa vichujio',
+    noMatches: 'Hakuna mazungumzo yanayolingana na utafutaji wako',
+    pinned: 'Yamebandikwa',
+    pin: 'Bandika juu',
+    unpin: 'Bandua',
+    rename: 'Badilisha jina',
+    renamePlaceholder: 'Acha tupu kwa jina la kiotomatiki',
+    editTags: 'Hariri lebo',
+    addTag: 'Ongeza lebo',
+    removeTag: 'Ondoa lebo',
+    filterByTag: 'Onyesha mazungumzo yenye lebo hii',
+    delete: 'Futa',
+    export: 'Hamisha',
+    exportAs: 'Pakua kama',
+    formats: {
+      pdf: 'PDF',
+      markdown: 'Markdown',
+      json: 'JSON'
+    },
+    you: 'Wewe',
+    exported: 'Imehamishwa',
+    exportAll: 'Hamisha mazungumzo yote',
+    import: 'Leta mazungumzo',
+    imported: 'Mazungumzo {imported} yameletwa; {skipped} yamerukwa kwa kuwa yapo tayari au hayasomeki.',
+    importError: 'Imeshindikana kuleta faili hili: {reason}'
+  },
+  calendar: {
+    open: 'Kalenda ya upanzi',
+    title: 'Kalenda ya Upanzi',
+    intro: 'Nyakati za kupanda kwa miezi 12 ijayo katika kaunti yako.',
+    close: 'Funga',
+    crop: 'Zao',
+    loading: 'Inapakia kalenda...',
+    loadError: 'Imeshindwa kupakia kalenda ya upanzi. Tafadhali jaribu tena.',
+    empty: 'Bado hakuna nyakati za kupanda zilizoongezwa kwa {county}.',
+    longRains: 'Mvua za masika',
+    shortRains: 'Mvua za vuli',
+    varieties: 'Aina za mbegu',
+    fertilizer: 'Mbolea',
+    notes: 'Maelezo',
+    varietiesHint: 'Aina za mbegu, zikitenganishwa kwa koma',
+    startMonth: 'Mwezi wa kwanza wa kupanda',
+    endMonth: 'Mwezi wa mwisho wa kupanda',
+    adminTitle: 'Ongeza nyakati za kupanda',
+    add: 'Ongeza',
+    added: 'Imeongeza {crop} kwa {county}',
+    saveError: 'Imeshindwa kuhifadhi wakati wa kupanda. Tafadhali ukague na ujaribu tena.'
+  },
+  prices: {
+    open: 'Bei',
+    title: 'Bei za Soko',
+    intro: 'Bei za hivi karibuni kwa Shilingi za Kenya kutoka masoko makuu.',
+    loading: 'Inapakia bei...',
+    loadError: 'Imeshindwa kupakia bei za soko. Tafadhali jaribu tena.',
+    empty: 'Bado hakuna bei za soko zilizoongezwa.',
+    commodity: 'Bidhaa',
+    market: 'Soko',
+    unit: 'Kipimo',
+    price: 'Bei (KES)',
+    latest: 'Bei ya karibuni',
+    date: 'Tarehe',
+    adminTitle: 'Ongeza bei',
+    add: 'Ongeza',
+    import: 'Leta faili ya CSV yenye safu commodity, market, unit, price, date (YYYY-MM-DD)',
+    added: 'Bei {count} zimeongezwa',
+    saveError: 'Imeshindwa kuhifadhi bei. Tafadhali zikague na ujaribu tena.',
+    csvError: 'Faili ya CSV ina tatizo kwenye mstari {line}'
+  },
+  diagnosis: {
+    open: 'Tambua ugonjwa',
+    title: 'Utambuzi wa Magonjwa',
+    step: 'Hatua {step} kati ya {total}',
+    resultIntro: 'Visababishi vinavyowezekana kulingana na dalili ulizoeleza',
+    crop: 'Zao',
+    livestock: 'Mifugo',
+    cropName: 'Ni zao gani limeathirika?',
+    livestockName: 'Ni mnyama gani ameathirika?',
+    cropHint: 'k.m. mahindi, nyanya',
+    livestockHint: "k.m. ng'ombe wa maziwa, kuku",
+    partQuestion: 'Ni sehemu gani imeathirika?',
+    symptomsQuestion: 'Unaona nini? Chagua zote zinazohusika.',
+    otherSymptoms: 'Dalili nyingine (si lazima)',
+    cropStage: 'Zao liko katika hatua gani?',
+    livestockStage: 'Mnyama ana umri gani, au yuko katika hali gani?',
+    weatherQuestion: 'Hali ya hewa imekuwaje hivi karibuni?',
+    notes: 'Kuna jingine? (si lazima)',
+    notesHint: 'k.m. mimea au wanyama wangapi wameathirika, lini ilianza, umejaribu nini',
+    photo: 'Picha (si lazima)',
+    photoHint: 'Picha inabaki kwenye kifaa chako kwa kumbukumbu; utambuzi unategemea dalili ulizochagua.',
+    back: 'Rudi',
+    next: 'Endelea',
+    diagnose: 'Tambua',
+    diagnosing: 'Inatambua...',
+    error: 'Imeshindwa kupata utambuzi. Tafadhali jaribu tena.',
+    confidence: 'Uwezekano {percent}%',
+    likelyCauses: 'Visababishi vinavyowezekana',
+    treatments: 'Matibabu yanayopendekezwa',
+    extension: 'Wakati wa kumwita afisa wa ugani',
+    disclaimer: 'Huu ni mwongozo, si utambuzi uliothibitishwa. Tumia tu bidhaa zilizosajiliwa na PCPB kama inavyoelekezwa kwenye lebo.',
+    startOver: 'Anza upya',
+    addToChat: 'Weka kwenye mazungumzo',
+    requestPrefix: 'Utambuzi',
+    growthStage: 'Hatua',
+    weather: 'Hali ya hewa'
+  },
+  drafting: {
+    open: 'Andaa hati',
+    title: 'Kuandaa Hati',
+    libraryIntro: 'Chagua kiolezo au fungua rasimu uliyohifadhi.',
+    formIntro: 'Jaza maelezo. Acha wazi chochote usichokijua bado.',
+    editorIntro: 'Kagua na uhariri rasimu, kisha uihifadhi au uipakue.',
+    savedDrafts: 'Rasimu zako',
+    noDrafts: 'Bado huna rasimu zilizohifadhiwa.',
+    updated: 'Ilisasishwa {date}',
+    delete: 'Futa rasimu',
+    confirmDelete: 'Una uhakika unataka kufuta rasimu hii?',
+    blankHint: 'Sehemu zilizoachwa wazi zinaonyeshwa kama [to be completed] kwenye rasimu.',
+    generate: 'Andaa hati',
+    drafting: 'Inaandaa...',
+    draftError: 'Imeshindwa kuandaa hati. Tafadhali jaribu tena.',
+    documentTitle: 'Kichwa cha hati',
+    edit: 'Hariri maandishi',
+    preview: 'Onyesho',
+    library: 'Violezo vyote',
+    editDetails: 'Badilisha maelezo',
+    save: 'Hifadhi rasimu',
+    saved: 'Rasimu imehifadhiwa kwenye akaunti yako',
+    saveError: 'Imeshindwa kuhifadhi rasimu. Tafadhali jaribu tena.',
+    downloadError: 'Imeshindwa kutengeneza faili. Tafadhali jaribu tena.',
+    disclaimer: 'Rasimu hii ni mwanzo tu, si ushauri wa kisheria. Wakili aikague kabla mtu yeyote hajasaini.'
+  },
+  quota: {
+    label: 'Ujumbe uliobaki leo',
+    hourly: 'Ujumbe {remaining} kati ya {limit} umebaki saa hii',
+    dailyReached: 'Kikomo cha siku kimefikiwa. Kitarejea baada ya {wait}.',
+    hourlyReached: 'Kikomo cha saa kimefikiwa. Jaribu tena baada ya {wait}.',
+    minutes: 'dakika {count}',
+    hours: 'saa {count}'
+  },
+  admin: {
+    open: 'Dashibodi ya usimamizi',
+    title: 'Dashibodi ya Usimamizi',
+    subtitle: 'Matumizi, maoni, maelekezo, vikomo na wafanyakazi wa huduma za ushauri',
+    loading: 'Inapakia...',
+    loadError: 'Imeshindwa kupakia ukurasa huu. Tafadhali jaribu tena.',
+    tabs: {
+      analytics: 'Takwimu',
+      feedback: 'Maoni',
+      prompts: 'Maelekezo',
+      knowledge: 'Hifadhi ya sheria',
+      limits: 'Vikomo vya matumizi',
+      staff: 'Wafanyakazi'
+    },
+    lastDays: 'Siku {count} zilizopita',
+    requests: 'Maombi',
+    activeUsers: 'Watumiaji hai',
+    averageLatency: 'Muda wa wastani wa kujibu',
+    errorRate: 'Kiwango cha hitilafu',
+    seconds: 'sekunde {count}',
+    requestsPerDay: 'Maombi kwa siku',
+    perAdvisor: 'Kwa mshauri',
+    advisor: 'Mshauri',
+    rejected: 'Yaliyokataliwa',
+    rejectedHint: 'Maombi yaliyokataliwa kabla ya kufika kwa modeli, k.m. kuzidi kiwango au marefu mno',
+    topTopics: 'Mada zinazoulizwa zaidi',
+    noTopics: 'Hakuna maswali yaliyoulizwa katika kipindi hiki.',
+    prompts: {
+      builtIn: 'Maelekezo ya asili',
+      version: 'Toleo {version}',
+      history: 'Matoleo',
+      active: 'Linatumika',
+      candidate: 'Mgombea kwa {percent}% ya watumiaji',
+      noNote: 'Hakuna maelezo',
+      edit: 'Hariri nakala',
+      activate: 'Litumike',
+      rollBack: 'Rudi kwenye toleo hili',
+      editor: 'Maandishi ya maelekezo',
+      notePlaceholder: 'Nini kimebadilika na kwa nini',
+      save: 'Hifadhi kama toleo jipya',
+      saveHint: 'Kuhifadhi hakubadilishi majibu yoyote hadi toleo litumike au liwekwe kwenye jaribio.',
+      saved: 'Toleo limehifadhiwa',
+      activated: 'Toleo linalotumika limebadilishwa',
+      sandbox: 'Jaribu maelekezo haya',
+      sandboxHint: 'Hujibu swali moja kwa maandishi yaliyo kwenye kihariri bila kuyahifadhi. Jibu halihifadhiwi wala kuhesabiwa.',
+      question: 'Swali la kuuliza',
+      test: 'Jaribu',
+      testing: 'Inajaribu...',
+      testError: 'Imeshindwa kujaribu maelekezo. Tafadhali jaribu tena.',
+      experiment: 'Jaribio la A/B',
+      experimentHint: 'Mpe sehemu ya watumiaji toleo mgombea. Kila mtumiaji huendelea kupata toleo lilelile, na kila jibu hurekodi toleo lililolitoa.',
+      experimentRunning: '{version} linajibu {percent}% ya watumiaji.',
+      chooseCandidate: 'Chagua toleo mgombea',
+      percentOfUsers: '% ya watumiaji',
+      startExperiment: 'Anza jaribio',
+      endExperiment: 'Maliza jaribio',
+      experimentStarted: 'Jaribio limeanza',
+      experimentEnded: 'Jaribio limemalizika',
+      compare: 'Linganisha matoleo'
+    },
+    knowledge: {
+      intro: 'Vifungu vya sheria ambavyo LegalBot hutafuta na kunukuu katika majibu yake. Nakili maandishi kutoka toleo rasmi la sheria, kwa kuwa majibu huyanukuu.',
+      addTitle: 'Ongeza kifungu',
+      editTitle: 'Hariri kifungu',
+      source: 'Sheria, k.m. Land Act, 2012',
+      section: 'Kifungu, k.m. Section 7',
+      title: 'Kichwa (si lazima)',
+      url: 'Kiungo cha maandishi rasmi (si lazima)',
+      text: 'Maandishi ya kifungu',
+      add: 'Ongeza kifungu',
+      cancel: 'Ghairi',
+      import: 'Leta JSON',
+      importHint: 'Faili ya JSON yenye orodha ya vifungu, kila kimoja na source, section, title, text na url isiyo lazima.',
+      importInvalid: 'Faili si orodha ya vifungu ya JSON.',
+      importError: 'Kifungu {entry} katika faili hakina source au text.',
+      added: 'Vifungu {count} vimeongezwa',
+      deleted: 'Kifungu kimefutwa',
+      confirmDelete: 'Futa kifungu hiki? LegalBot itaacha kukinukuu.',
+      passages: 'Vifungu {count}',
+      search: 'Tafuta vifungu',
+      empty: 'Bado hakuna vifungu vilivyoongezwa.',
+      noMatches: 'Hakuna vifungu vinavyolingana na utafutaji.',
+      edit: 'Hariri',
+      delete: 'Futa',
+      updated: 'Imesasishwa {date}'
+    },
+    feedback: {
+      intro: 'Majibu ambayo watumiaji wameyapima. Thibitisha yaliyokosewa ili yaingie kwenye seti za tathmini, au yapuuze.',
+      allStatuses: 'Hali yoyote',
+      allAdvisors: 'Washauri wote',
+      allRatings: 'Kipimo chochote',
+      statuses: {
+        pending: 'Yanasubiri ukaguzi',
+        confirmed: 'Yamethibitishwa kuwa na makosa',
+        dismissed: 'Yamepuuzwa'
+      },
+      ratings: {
+        down: 'Dole chini',
+        up: 'Dole juu'
+      },
+      answer: 'Jibu lililotolewa',
+      correction: 'Marekebisho yaliyopendekezwa',
+      notePlaceholder: 'Maelezo ya mkaguzi (si lazima)',
+      confirm: 'Thibitisha kosa',
+      dismiss: 'Puuza',
+      export: 'Hamisha {count} kama JSONL',
+      empty: 'Hakuna maoni yanayolingana na vichujio hivi.',
+      shown: 'Inaonyesha {count} kati ya {total}',
+      loadMore: 'Pakia zaidi'
+    },
+    limitsIntro: 'Vikomo vinahusu kila mtumiaji aliyeingia na vinaanza kutumika mara moja.',
+    limits: {
+      hourlyMessages: 'Ujumbe kwa saa',
+      dailyMessages: 'Ujumbe kwa siku',
+      maxMessageChars: 'Ujumbe mrefu zaidi (herufi)',
+      maxHistoryMessages: 'Mazungumzo marefu zaidi (ujumbe)'
+    },
+    save: 'Hifadhi',
+    saving: 'Inahifadhi...',
+    saved: 'Imehifadhiwa',
+    saveError: 'Imeshindwa kuhifadhi mabadiliko. Tafadhali jaribu tena.',
+    staffIntro: 'Wasimamizi husimamia maudhui, mipangilio na wafanyakazi; wachambuzi wanaweza kuona takwimu tu, na wakaguzi hupitia maoni kuhusu majibu. Wadhibiti wa canister ni wasimamizi daima, na ni wao pekee wanaoweza kutoa au kuondoa jukumu la msimamizi.',
+    noStaff: 'Bado hakuna majukumu yaliyotolewa.',
+    principal: 'Principal',
+    roles: {
+      admin: 'Msimamizi',
+      analyst: 'Mchambuzi',
+      reviewer: 'Mkaguzi'
+    },
+    grant: 'Toa jukumu',
+    revoke: 'Ondoa',
+    invalidPrincipal: 'Hiyo si principal halali.',
+    roleError: 'Imeshindwa kubadilisha jukumu. Ni wadhibiti pekee wanaoweza kutoa au kuondoa haki za msimamizi.'
+  },
+  feedback: {
+    helpful: 'Limesaidia',
+    notHelpful: 'Halijasaidia',
+    thanks: 'Asante kwa maoni yako',
+    whatWasWrong: 'Nini kilikosewa? (si lazima)',
+    reasons: {
+      wrongLaw: 'Sheria isiyo sahihi',
+      outdated: 'Imepitwa na wakati',
+      unsafe: 'Si salama',
+      notKenyan: 'Si ya Kenya'
+    },
+    correction: 'Jibu lingepaswa kusema nini? (si lazima)',
+    cancel: 'Ghairi',
+    send: 'Tuma',
+    error: 'Imeshindwa kutuma maoni yako. Tafadhali jaribu tena.'
+  },
+  connection: {
+    online: 'Mtandaoni',
+    offline: 'Nje ya mtandao',
+    onlineHint: 'Umeunganishwa. Mazungumzo yako yanahifadhiwa kwenye akaunti yako.',
+    offlineHint: 'Hakuna mtandao. Mazungumzo yaliyohifadhiwa bado yanasomeka na maswali mapya yatatumwa ukiunganishwa tena.'
+  },
+  share: {
+    share: 'Shiriki kiungo',
+    creating: 'Inaunda kiungo cha kushiriki...',
+    error: 'Imeshindikana kuunda kiungo. Angalia mtandao wako kisha ujaribu tena.',
+    snapshotHint: 'Yeyote mwenye kiungo anaweza kusoma mazungumzo haya jinsi yalivyo sasa. Ujumbe wa baadaye haushirikiwi.',
+    copy: 'Nakili',
+    copied: 'Imenakiliwa!',
+    manage: 'Viungo vilivyoshirikiwa',
+    loading: 'Inapakia...',
+    noLinks: 'Hujashiriki mazungumzo yoyote.',
+    loadLinksError: 'Imeshindikana kupakia viungo vyako.',
+    revoke: 'Batilisha',
+    confirmRevoke: 'Batilisha kiungo hiki? Yeyote aliye nacho hataweza tena kufungua mazungumzo.',
+    revokeError: 'Imeshindikana kubatilisha kiungo. Tafadhali jaribu tena.',
+    loadError: 'Imeshindikana kupakia mazungumzo haya. Tafadhali jaribu tena baadaye.',
+    notFound: 'Mazungumzo haya hayapo au kiungo kimebatilishwa.',
+    openApp: 'Fungua programu',
+    sharedOn: 'Yalishirikiwa {date}',
+    readOnly: 'Kusoma tu',
+    continue: 'Endelea katika mazungumzo yako',
+    continueHint: 'Ukiingia, mazungumzo yananakiliwa kwenye mazungumzo yako mapya ambapo unaweza kuuliza maswali zaidi.'
+  },
+  profile: {
+    setUp: 'Weka wasifu wa shamba',
+    edit: 'Hariri wasifu wa shamba',
+    title: 'Wasifu wa Shamba Lako',
+    intro: 'AgriBot hutumia taarifa hizi kulinganisha kila jibu na shamba lako.',
+    county: 'Kaunti',
+    chooseCounty: 'Chagua kaunti yako',
+    zone: 'Eneo la kilimo-ikolojia',
+    unknownZone: 'Sina uhakika',
+    crops: 'Mazao',
+    cropsHint: 'Tenganisha kwa koma, k.m. mahindi, maharagwe',
+    livestock: 'Mifugo',
+    livestockHint: "Tenganisha kwa koma, k.m. ng'ombe wa maziwa, kuku",
+    farmSize: 'Ukubwa wa shamba (ekari)',
+    irrigation: 'Unyunyiziaji',
+    rainfed: 'Mvua pekee',
+    partial: 'Unyunyiziaji wa sehemu',
+    full: 'Unyunyiziaji kamili',
+    acres: 'Ekari {count}',
+    save: 'Hifadhi wasifu',
+    saving: 'Inahifadhi...',
+    cancel: 'Ghairi',
+    saveError: 'Imeshindwa kuhifadhi wasifu wako. Tafadhali jaribu tena.'
+  }
+};
@@ -0,0 +1,56 @@
+// IndexedDB copy of each user's chat sessions, so answers stay readable
+// offline and changes made offline can be sent to the backend later.
+// Records are { key, principal, botType, session, unsynced, deleted }, keyed
+// by principal and session id; `session` is in the ChatManager shape.
+
+const DB_NAME = 'advisor-offline';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const done = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SESSIONS, { keyPath: 'key' });
+    };
+    dbPromise = done(request);
+  }
+  return dbPromise;
+};
+
+const store = async (mode) => {
+  const db = await openDb();
+  return db.transaction(SESSIONS, mode).objectStore(SESSIONS);
+};
+
+const recordKey = (principal, sessionId) => `${principal}/${sessionId}`;
+
+// All records of a principal, including deleted sessions not yet synced
+export const loadRecords = async (principal) => {
+  const range = IDBKeyRange.bound(`${principal}/`, `${principal}/\uffff`);
+  return done((await store('readonly')).getAll(range));
+};
+
+// Store a session. `unsynced` marks changes the backend has not received yet.
+export const putSession = async (principal, botType, session, { unsynced = false } = {}) => {
+  const record = { key: recordKey(principal, session.id), principal, botType, session, unsynced, deleted: false };
+  await done((await store('readwrite')).put(record));
+};
+
+// Keep a tombstone for a session deleted while offline, so it is not restored from the backend
+export const markDeleted = async (principal, botType, sessionId) => {
+  const record = { key: recordKey(principal, sessionId), principal, botType, session: { id: sessionId }, unsynced: true, deleted: true };
+  await done((await store('readwrite')).put(record));
+};
+
+export const removeRecord = async (principal, sessionId) => {
+  await done((await store('readwrite')).delete(recordKey(principal, sessionId)));
+};
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+// Hash-based routes, so links work on the asset canister without server-side
+// rewrites. '#/share/<id>' shows a shared conversation; any other hash is the app.
+const parseRoute = (hash) => {
+  const share = hash.match(/^#\/share\/([0-9a-f]+)$/);
+  return share ? { name: 'share', shareId: share[1] } : { name: 'app' };
+};
+
+// The current route, updated when the hash changes
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const update = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', update);
+    return () => window.removeEventListener('hashchange', update);
+  }, []);
+
+  return route;
+};
+
+// Leave a route for the app's home screen
+export const goHome = () => {
+  window.history.pushState(null, '', window.location.pathname + window.location.search);
+  window.dispatchEvent(new HashChangeEvent('hashchange'));
+};
+
+// Public URL of a shared conversation
+export const shareUrl = (shareId) =>
+  `${window.location.origin}${window.location.pathname}#/share/${shareId}`;
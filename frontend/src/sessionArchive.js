@@ -0,0 +1,192 @@
+import { safeUrl } from './citations';
+import { normalizeTags } from './sessionSearch';
+
+// Versioned JSON format for exporting and importing chat sessions. Files hold
+// { format, version, exportedAt, sessions }, where each session is a plain
+// JSON object with ISO timestamps and keeps its conversation branches.
+// Bump ARCHIVE_VERSION when the shape changes and keep reading older files.
+export const ARCHIVE_FORMAT = 'advisor-chat-sessions';
+export const ARCHIVE_VERSION = 1;
+
+// Questions that were queued or failed were never answered, so they are left out
+const isSent = (msg) => !msg.user?.pending && !msg.user?.failed;
+
+const toArchiveMessage = (msg) => {
+  const isUser = 'user' in msg;
+  const message = isUser ? msg.user : msg.system;
+  const timestamp = message.timestamp ?? msg.timestamp;
+  const archived = {
+    role: isUser ? 'user' : 'advisor',
+    content: message.content,
+    timestamp: timestamp ? new Date(timestamp).toISOString() : null
+  };
+  if (!isUser) {
+    archived.citations = message.citations ?? [];
+    archived.promptVersion = message.promptVersion ?? null;
+  }
+  if (msg.branches) {
+    archived.branches = {
+      active: msg.branches.active,
+      tails: msg.branches.tails.map(tail => tail.filter(isSent).map(toArchiveMessage))
+    };
+  }
+  return archived;
+};
+
+// Convert a { botType, session } entry to its archive form
+export const toArchiveSession = ({ botType, session }) => ({
+  id: session.id,
+  advisorId: botType,
+  title: session.title,
+  customTitle: session.customTitle,
+  language: session.language ?? 'en',
+  pinned: session.pinned,
+  tags: session.tags,
+  createdAt: new Date(session.createdAt).toISOString(),
+  updatedAt: new Date(session.updatedAt).toISOString(),
+  messages: session.messages.filter(isSent).map(toArchiveMessage)
+});
+
+// Archive file contents for the given { botType, session } entries
+export const toArchive = (entries) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: new Date().toISOString(),
+  sessions: entries.map(toArchiveSession)
+});
+
+const isText = (value) => typeof value === 'string';
+
+const check = (condition, problem) => {
+  if (!condition) throw new Error(problem);
+};
+
+const toDate = (value) => {
+  const date = new Date(value);
+  check(isText(value) && !Number.isNaN(date.getTime()), `invalid timestamp ${value}`);
+  return date;
+};
+
+const fromArchiveCitation = (citation) => {
+  check(isText(citation?.source) && isText(citation.excerpt), 'invalid citation');
+  return {
+    passageId: Number.isInteger(citation.passageId) ? citation.passageId : 0,
+    source: citation.source,
+    section: isText(citation.section) ? citation.section : '',
+    title: isText(citation.title) ? citation.title : '',
+    excerpt: citation.excerpt,
+    url: isText(citation.url) ? safeUrl(citation.url) : null
+  };
+};
+
+const fromArchiveMessage = (archived) => {
+  check(archived && isText(archived.content), 'message without content');
+  check(archived.role === 'user' || archived.role === 'advisor', `unknown role ${archived.role}`);
+  const timestamp = archived.timestamp == null ? undefined : toDate(archived.timestamp);
+  const message = archived.role === 'user'
+    ? { user: { content: archived.content, timestamp } }
+    : {
+      system: {
+        content: archived.content,
+        timestamp,
+        citations: Array.isArray(archived.citations) ? archived.citations.map(fromArchiveCitation) : [],
+        promptVersion: Number.isInteger(archived.promptVersion) ? archived.promptVersion : null
+      }
+    };
+  if (archived.branches) {
+    const { active, tails } = archived.branches;
+    check(Array.isArray(tails) && Number.isInteger(active) && active >= 0 && active < tails.length, 'invalid branches');
+    message.branches = {
+      active,
+      // The active branch is the rest of the session, so its tail stays empty
+      tails: tails.map((tail, i) => i === active ? [] : fromArchiveMessages(tail))
+    };
+  }
+  return message;
+};
+
+const fromArchiveMessages = (messages) => {
+  check(Array.isArray(messages), 'messages must be a list');
+  return messages.map(fromArchiveMessage);
+};
+
+// Convert an archived session back to a { botType, session } entry. Throws
+// an Error naming the problem if the session is malformed.
+export const fromArchiveSession = (archived) => {
+  check(archived && isText(archived.id) && archived.id !== '', 'session without id');
+  check(isText(archived.advisorId), `session ${archived.id} has no advisor`);
+  return {
+    botType: archived.advisorId,
+    session: {
+      id: archived.id,
+      title: isText(archived.title) ? archived.title : '',
+      customTitle: archived.customTitle === true,
+      language: isText(archived.language) ? archived.language : 'en',
+      messages: fromArchiveMessages(archived.messages),
+      summarizedCount: 0,
+      pinned: archived.pinned === true,
+      tags: Array.isArray(archived.tags) ? normalizeTags(archived.tags.filter(isText)) : [],
+      createdAt: toDate(archived.createdAt),
+      updatedAt: toDate(archived.updatedAt)
+    }
+  };
+};
+
+// Parse the text of an archive file into { entries, invalid }, where invalid
+// counts sessions that could not be read. Throws if the file is not an
+// archive or comes from a newer version of the app.
+export const parseArchive = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error('not a JSON file');
+  }
+  check(archive?.format === ARCHIVE_FORMAT && Array.isArray(archive.sessions), 'not a chat session export');
+  check(Number.isInteger(archive.version) && archive.version <= ARCHIVE_VERSION, `unsupported version ${archive.version}`);
+
+  const entries = [];
+  let invalid = 0;
+  for (const archived of archive.sessions) {
+    try {
+      entries.push(fromArchiveSession(archived));
+    } catch (err) {
+      console.error(err);
+      invalid++;
+    }
+  }
+  return { entries, invalid };
+};
+
+// Render a session's current branch as Markdown. `labels` gives the localised
+// { advisorName, you, exported, sources, disclaimer } and `locale` formats dates.
+export const toMarkdown = (session, labels, locale) => {
+  const formatDate = (date) => new Date(date).toLocaleString(locale);
+  const lines = [
+    `# ${session.title}`,
+    '',
+    `**${labels.advisorName}** · ${labels.exported} ${formatDate(new Date())}`,
+    ''
+  ];
+
+  session.messages.filter(isSent).forEach(msg => {
+    const isUser = 'user' in msg;
+    const message = isUser ? msg.user : msg.system;
+    const timestamp = message.timestamp ?? msg.timestamp;
+    lines.push(`### ${isUser ? labels.you : labels.advisorName}${timestamp ? ` · ${formatDate(timestamp)}` : ''}`, '');
+    lines.push(message.content, '');
+    const citations = isUser ? [] : message.citations ?? [];
+    if (citations.length > 0) {
+      lines.push(`**${labels.sources}**`, '');
+      citations.forEach((citation, i) => {
+        const name = [citation.source, citation.section].filter(Boolean).join(', ');
+        const url = safeUrl(citation.url);
+        lines.push(`${i + 1}. ${url ? `[${name}](${url})` : name}${citation.title ? ` — ${citation.title}` : ''}`);
+      });
+      lines.push('');
+    }
+  });
+
+  lines.push('---', '', `> ${labels.disclaimer}`, '');
+  return lines.join('\n');
+};
@@ -0,0 +1,67 @@
+// Searching, filtering and ordering chat sessions for the history sidebar.
+// Sessions are passed as { botType, session } entries so one search can span
+// every advisor.
+
+// Characters of context shown either side of a match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+// Longest tag and most tags per session the backend accepts
+export const MAX_TAG_CHARS = 40;
+export const MAX_SESSION_TAGS = 20;
+
+const messageText = (msg) => ('user' in msg ? msg.user : msg.system).content ?? '';
+
+const snippetOf = (text, needle) => {
+  const at = text.toLocaleLowerCase().indexOf(needle);
+  const start = Math.max(0, at - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, at + needle.length + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+};
+
+// Split text into [{ text, match }] parts, marking case-insensitive matches of query
+export const splitMatches = (text, query) => {
+  const needle = query.trim().toLocaleLowerCase();
+  if (!needle) return [{ text, match: false }];
+
+  const lower = text.toLocaleLowerCase();
+  const parts = [];
+  let from = 0;
+  for (let at = lower.indexOf(needle); at >= 0; at = lower.indexOf(needle, from)) {
+    if (at > from) parts.push({ text: text.slice(from, at), match: false });
+    parts.push({ text: text.slice(at, at + needle.length), match: true });
+    from = at + needle.length;
+  }
+  if (from < text.length) parts.push({ text: text.slice(from), match: false });
+  return parts;
+};
+
+// Entries whose title or messages contain the query and that carry every
+// selected tag and were updated between `from` and `to` ('YYYY-MM-DD', either
+// may be empty). Each result adds a snippet of the first matching message.
+export const searchSessions = (entries, { query = '', tags = [], from = '', to = '' }) => {
+  const needle = query.trim().toLocaleLowerCase();
+  const start = from ? new Date(`${from}T00:00:00`) : null;
+  const end = to ? new Date(`${to}T23:59:59.999`) : null;
+
+  return entries.flatMap(({ botType, session }) => {
+    const updatedAt = new Date(session.updatedAt);
+    if ((start && updatedAt < start) || (end && updatedAt > end)) return [];
+    if (!tags.every(tag => session.tags.includes(tag))) return [];
+    if (!needle) return [{ botType, session, snippet: null }];
+
+    // The welcome message is the same in every session, so it is not searched
+    const message = session.messages.slice(1).find(msg => messageText(msg).toLocaleLowerCase().includes(needle));
+    if (!message && !session.title.toLocaleLowerCase().includes(needle)) return [];
+    return [{ botType, session, snippet: message ? snippetOf(messageText(message), needle) : null }];
+  });
+};
+
+// Pinned sessions first, then the most recently updated
+export const compareSessions = (a, b) =>
+  Number(b.pinned) - Number(a.pinned) || new Date(b.updatedAt) - new Date(a.updatedAt);
+
+// Tidy a tag typed by the user; returns '' for a blank one
+export const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_CHARS);
+
+// Tidy a session's tags, dropping blanks and duplicates
+export const normalizeTags = (tags) => [...new Set(tags.map(normalizeTag).filter(Boolean))].slice(0, MAX_SESSION_TAGS);
@@ -1,11 +1,34 @@
 import react from '@vitejs/plugin-react';
 import { defineConfig } from 'vite';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
 import { fileURLToPath, URL } from 'url';
 import environment from 'vite-plugin-environment';
 
+// Emits sw.js from service-worker.js with the list of files in the build, so
+// the service worker can precache the hashed bundles on install. The version
+// changes whenever a file does, which replaces the previous cache.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const assets = Object.keys(bundle)
+      .filter(file => !file.endsWith('.map') && file !== 'index.html')
+      .sort()
+      .map(file => `./${file}`);
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+    const template = readFileSync(fileURLToPath(new URL('./service-worker.js', import.meta.url)), 'utf8');
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: template.replace('const BUILD = __BUILD__;', `const BUILD = ${JSON.stringify({ version, assets })};`)
+    });
+  }
+});
+
 export default defineConfig({
   base: './',
-  plugins: [react(), environment('all', { prefix: 'CANISTER_' }), environment('all', { prefix: 'DFX_' })],
+  plugins: [react(), environment('all', { prefix: 'CANISTER_' }), environment('all', { prefix: 'DFX_' }), serviceWorker()],
   envDir: '../',
   define: {
     'process.env': process.env